@@ -1,25 +1,149 @@
 // Import necessary React hooks and Material-UI components
-import { useEffect, useState } from "react";
-import { Box, Typography } from "@mui/material";
-import { alpha } from "@mui/material/styles"; // Utility to apply alpha transparency to colors
-import ArrowBackIosNewIcon from "@mui/icons-material/ArrowBackIosNew"; // Back arrow icon
-import ArrowForwardIosIcon from "@mui/icons-material/ArrowForwardIos"; // Forward arrow icon
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { Alert, Box, Button, Link, Typography } from "@mui/material";
+import { keyframes } from "@emotion/react";
+import RichText from "./components/RichText"; // Renders the sanitised Markdown body of a step
+import TourPicker from "./components/TourPicker"; // Lets the viewer choose between named tours
+import AutoplayProgress from "./components/AutoplayProgress"; // Progress bar for presentation mode
+import TourNavigation from "./components/TourNavigation"; // Previous/next buttons and step indicators
+import TourLauncher from "./components/TourLauncher"; // Start or resume button shown while the tour is closed
+import SpotlightOverlay from "./components/SpotlightOverlay"; // Dimmed overlay with a cutout around the object
+import {
+  revertStepActionsAsync,
+  runStepActionsAsync,
+} from "./utils/tourActions"; // Dashboard actions run when a step becomes active
+import {
+  CLICK_THROUGH_TIMEOUT,
+  listenForStepEventAsync,
+  setClickThroughAsync,
+} from "./utils/interactiveSteps"; // Hands-on steps that wait for a viewer action
+import { DEFAULT_STEP_DURATION, getStepDurationMs } from "./utils/autoplay"; // Presentation mode timing
+import { getStepTabId, trapFocus, visuallyHidden } from "./utils/accessibility"; // Keyboard and screen-reader helpers
+import { loadSettings } from "./utils/settings"; // Versioned settings document
+import {
+  getVisibleItemsAsync,
+  listenForConditionChangesAsync,
+} from "./utils/stepConditions"; // Steps shown only when their conditions are met
+import {
+  DEFAULT_LANGUAGE,
+  STEP_TEXT_FIELDS,
+  TOUR_TEXT_FIELDS,
+  createDefaultLocalization,
+  formatString,
+  getUiStrings,
+  getViewerLanguage,
+  localizeText,
+  resolveLanguage,
+} from "./utils/localization"; // Translations chosen by the viewer's Tableau locale
+import {
+  canResume,
+  loadProgress,
+  saveTourProgress,
+  shouldAutoStart,
+} from "./utils/progress"; // Each viewer's progress, remembered in the browser
+import { createDefaultSpotlight, resolveSpotlight } from "./utils/spotlight";
+import {
+  createDefaultTransition,
+  getSpotlightTransition,
+  getTooltipDelay,
+  resolveTransition,
+} from "./utils/transitions"; // Spotlight and tooltip transitions between steps
+import { createDefaultTheme, getTooltipSx } from "./utils/theme"; // Colors and sizes of the tooltip and navigation
+import { createDefaultFont, getFontFamily, loadFontAsync } from "./utils/fonts"; // Google, system, hosted and installed fonts
+import {
+  ANALYTICS_EVENTS,
+  createConfiguredSinks,
+  registerAnalyticsSink,
+  trackEvent,
+} from "./utils/analytics"; // Tour started, step viewed, skipped, completed and abandoned events
+import {
+  createDefaultParameterSync,
+  findSyncTarget,
+  getSyncValue,
+  isEmptySyncValue,
+  listenForParameterAsync,
+  writeParameterAsync,
+} from "./utils/parameterSync"; // Two-way binding between the tour and a parameter
+import {
+  COLLAPSED_ZONE_HEIGHT,
+  DEFAULT_TEXT_BOX_WIDTH,
+  computeStepLayout,
+  findExtensionPosition,
+  getObjectDetailsMap,
+  getSetupWarnings,
+  getStepRects,
+  getTargetRect,
+  listenForLayoutChanges,
+  resizeExtensionZoneAsync,
+} from "./utils/layout"; // Spotlight and tooltip placement on the dashboard
 import "./index.css"; // Import custom CSS for additional styling
 
+// Animates the tooltip when the dashboard layout changes
+const layoutTransition = ["top", "left", "width", "height"]
+  .map((property) => `${property} 0.3s ease`)
+  .join(", ");
+
+// Ways the tooltip of a new step can appear, by tooltip transition
+const tooltipEntrances = {
+  fade: keyframes`
+    from { opacity: 0; }
+    to { opacity: 1; }
+  `,
+  slide: keyframes`
+    from { opacity: 0; transform: translateY(16px); }
+    to { opacity: 1; transform: none; }
+  `,
+  zoom: keyframes`
+    from { opacity: 0; transform: scale(0.85); }
+    to { opacity: 1; transform: none; }
+  `,
+};
+
 /**
  * App component serves as the main component for the Tableau Tour extension.
- * It manages tour items, navigation between steps, and displays tooltips
+ * It manages one or more named tours, navigation between steps, and displays tooltips
  * with customizable fonts, background colors, and transparency.
  */
 const App = () => {
-  // State to manage the list of tour items (each step in the tour)
+  // State to manage the list of named tours, each with its own steps
+  const [tours, setTours] = useState([]);
+
+  // State to track the index of the tour the viewer is currently running
+  const [activeTour, setActiveTour] = useState(0);
+
+  // State to manage the list of tour items (each visible step in the active tour)
   const [tourItems, setTourItems] = useState([]);
 
   // State to track the current tour step index
   const [currentStep, setCurrentStep] = useState(0);
 
-  // State to store positions of grey overlay boxes around the Tableau extension
-  const [boxPositions, setBoxPositions] = useState({});
+  // State to track whether the tour is showing, or closed to its launcher
+  const [tourOpen, setTourOpen] = useState(false);
+
+  // State to hold the viewer's remembered progress through each tour, by tour name
+  const [progress, setProgress] = useState({});
+
+  // State to store the spotlight cutouts around the current step's objects, relative to the extension
+  const [cutouts, setCutouts] = useState(null);
+
+  // State to manage the general spotlight style; steps may override parts of it
+  const [spotlightStyle, setSpotlightStyle] = useState(
+    createDefaultSpotlight()
+  );
+
+  // State to manage the general transition between steps; steps may override parts of it
+  const [transitionStyle, setTransitionStyle] = useState(
+    createDefaultTransition()
+  );
+
+  // State to store the name, position and size of every dashboard object, by ID
+  const [objectDetails, setObjectDetails] = useState({});
+
+  // State to list the steps skipped because their dashboard object no longer exists
+  const [brokenSteps, setBrokenSteps] = useState([]);
+
+  // State to track whether the setup warning has been dismissed
+  const [setupWarningDismissed, setSetupWarningDismissed] = useState(false);
 
   // State to store the dimensions and position of the Tableau extension object
   const [extensionPosition, setExtensionPosition] = useState(null);
@@ -30,8 +154,19 @@ const App = () => {
   // State to control the visibility of the text box
   const [textVisible, setTextVisible] = useState(false);
 
-  // State to manage the selected font for the tour text; default is "Roboto"
-  const [selectedFont, setSelectedFont] = useState("Roboto");
+  // State to manage the measured size of the tooltip, used to keep it inside the extension
+  const [tooltipSize, setTooltipSize] = useState(null);
+
+  // State to manage the maximum width of the tooltip
+  const [tooltipMaxWidth, setTooltipMaxWidth] = useState(
+    DEFAULT_TEXT_BOX_WIDTH
+  );
+
+  // State to manage the font of the tour text; default is Roboto from Google Fonts
+  const [font, setFont] = useState(createDefaultFont);
+
+  // State to track whether the font loaded: null while loading, then true or false
+  const [fontLoaded, setFontLoaded] = useState(null);
 
   // State to manage the selected background color for the overlay boxes; default is black
   const [backgroundColor, setBackgroundColor] = useState("#000000");
@@ -39,6 +174,84 @@ const App = () => {
   // State to manage the transparency level of the overlay boxes; default is 70%
   const [backgroundTransparency, setBackgroundTransparency] = useState(70);
 
+  // State to manage the colors and sizes of the tooltip, navigation and indicators
+  const [theme, setTheme] = useState(createDefaultTheme);
+
+  // State to track whether clicks currently pass through to the dashboard
+  const [clickThrough, setClickThrough] = useState(false);
+
+  // State to track presentation mode: "off", "playing" or "paused"
+  const [autoplay, setAutoplay] = useState("off");
+
+  // State to manage presentation mode settings: default step duration and looping
+  const [autoplaySettings, setAutoplaySettings] = useState({
+    defaultDuration: DEFAULT_STEP_DURATION,
+    loop: true,
+  });
+
+  // State to manage the language the tour is shown in, matched to the viewer's locale
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+
+  // State to manage the text of the tour's own controls in that language
+  const [uiStrings, setUiStrings] = useState(
+    getUiStrings(createDefaultLocalization(), DEFAULT_LANGUAGE)
+  );
+
+  // State to store the parameter bound to the current step or tour
+  const [parameterSync, setParameterSync] = useState(
+    createDefaultParameterSync
+  );
+
+  // Time left on a paused step, remembered together with the step it belongs to
+  const autoplayRemaining = useRef(null);
+
+  // Queue that runs step actions and their reverts strictly one after another
+  const actionQueue = useRef(Promise.resolve());
+
+  // Timer that hands clicks back to the tour; set only while click-through is on
+  const clickThroughTimer = useRef(null);
+
+  // Reference to the step tooltip, which holds keyboard focus while a step is shown
+  const tooltipRef = useRef(null);
+
+  // Reference to the launcher, measured to collapse the extension zone around it
+  const launcherRef = useRef(null);
+
+  // Whether the tour was open at the last render, to notice it closing
+  const tourWasOpen = useRef(false);
+
+  // Position and size of the zone before it was collapsed, restored when the tour opens
+  const expandedZone = useRef(null);
+
+  // Set once Tableau cannot resize the zone, so the tour stops trying
+  const zoneResizeFailed = useRef(false);
+
+  // All items of the tour being started, so a slower condition check for an
+  // earlier tour does not replace its steps
+  const startingItems = useRef(null);
+
+  // The last check of the step conditions, as `{ items, visible }` where
+  // `visible` is a promise of the visible items; cleared when a filter or
+  // parameter changes, so steps are only checked again after such a change
+  const conditionCheck = useRef(null);
+
+  // Functions that remove the analytics sinks chosen in the settings
+  const analyticsSinks = useRef([]);
+
+  // The tour and step the viewer is on, with when the step was shown, for analytics
+  const analyticsRun = useRef(null);
+
+  // The value the bound parameter was last set to, by the tour or the dashboard;
+  // null until either has set it, so the dashboard's own value is left alone
+  const syncedValue = useRef(null);
+
+  // Values the tour has written to the bound parameter whose change events
+  // have not arrived yet, oldest first, so they are not mistaken for the dashboard's
+  const pendingWrites = useRef([]);
+
+  // The latest handler for changes of the bound parameter, for its listener
+  const parameterChangeHandler = useRef(null);
+
   /**
    * useEffect hook to initialize the Tableau Extensions API when the component mounts.
    * It sets up the extension, fetches initial tour items, and retrieves the position
@@ -65,23 +278,18 @@ const App = () => {
         // Access the Tableau dashboard content
         const dashboard = tableau.extensions.dashboardContent.dashboard;
 
-        // Search for the Tableau Tour object in the dashboard by name
-        const extensionObject = dashboard.objects.find(
-          (obj) => obj.name === "Tableau Tour"
-        );
-
-        if (extensionObject) {
-          // If the Tableau Tour object is found, store its position and size
-          setExtensionPosition({
-            x: extensionObject.position.x, // X-coordinate relative to the dashboard
-            y: extensionObject.position.y, // Y-coordinate relative to the dashboard
-            width: extensionObject.size.width, // Width of the Tableau extension
-            height: extensionObject.size.height, // Height of the Tableau extension
-          });
-        }
+        // Search for the Tableau Tour object in the dashboard and store its position and size
+        const position = findExtensionPosition(dashboard);
+        if (position) setExtensionPosition(position);
 
         // Fetch and set the tour items based on saved settings
         refreshTourItems();
+
+        // Follow the dashboard as it is resized or its zones move
+        unregisterLayoutListener = listenForLayoutChanges(
+          dashboard,
+          refreshLayout
+        );
       } catch (error) {
         // Log any errors encountered during initialization
         console.error("Error initializing Tableau Extensions API:", error);
@@ -89,23 +297,516 @@ const App = () => {
     };
 
     // Call the initializeTableau function to start the initialization process
+    let unregisterLayoutListener = () => {};
     initializeTableau();
 
+    return () => unregisterLayoutListener();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Empty dependency array ensures this runs only once on mount
 
   /**
    * useEffect hook to update the positions of the grey overlay boxes whenever
-   * the list of tour items or the extension's position changes.
+   * the list of tour items, the extension's position or the layout of the
+   * dashboard objects changes.
    */
   useEffect(() => {
     // Ensure that there are tour items and the extension's position is known
     if (tourItems.length > 0 && extensionPosition) {
-      // Update box positions for the first tour item
-      updateBoxPositions(0, tourItems);
+      // Update box positions for the current tour item
+      updateBoxPositions(currentStep, tourItems);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tourItems, extensionPosition, objectDetails]); // Trigger when the items or the layout change
+
+  /**
+   * useLayoutEffect hook to measure the tooltip whenever its contents or width
+   * may have changed, so its placement can account for its real size before
+   * the browser paints.
+   */
+  useLayoutEffect(() => {
+    const tooltip = tooltipRef.current;
+    if (!tooltip) return;
+
+    const { offsetWidth: width, offsetHeight: height } = tooltip;
+    setTooltipSize((prev) =>
+      prev?.width === width && prev?.height === height
+        ? prev // Unchanged; keep the same object so nothing re-renders
+        : { width, height }
+    );
+  }, [textPosition, textVisible, tourItems, currentStep, font, fontLoaded]); // Trigger when the content or width may change
+
+  /**
+   * useLayoutEffect hook to place the tooltip again once its size is known or
+   * its maximum width or the spotlight style changes.
+   */
+  useLayoutEffect(() => {
+    if (tourItems.length > 0 && extensionPosition) {
+      updateBoxPositions(currentStep, tourItems);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tooltipSize, tooltipMaxWidth, spotlightStyle]); // Trigger when the tooltip's size, its maximum width or the spotlight padding changes
+
+  /**
+   * useEffect hook to run the dashboard actions of the active step. The cleanup
+   * reverts them when the step is left, the tour changes or the extension unloads.
+   */
+  useEffect(() => {
+    const actions = tourItems[currentStep]?.actions;
+    if (!tourOpen || !actions || actions.length === 0) return;
+
+    // Run the actions once any earlier actions or reverts have finished
+    let reverts = [];
+    actionQueue.current = actionQueue.current.then(async () => {
+      reverts = await runStepActionsAsync(actions);
+    });
+
+    return () => {
+      actionQueue.current = actionQueue.current.then(() =>
+        revertStepActionsAsync(reverts)
+      );
+    };
+  }, [tourOpen, tourItems, currentStep]); // Trigger when the active step changes or the tour closes
+
+  /**
+   * useEffect hook to wait for the viewer's action on an interactive step.
+   * The tour advances once the awaited filter, selection or parameter change happens.
+   * Listening starts only after the previous step's reverts and this step's own
+   * actions have run, since they fire the same events and would complete the
+   * step before the viewer has done anything.
+   */
+  useEffect(() => {
+    const item = tourItems[currentStep];
+    if (!tourOpen || item?.type !== "interactive") return;
+
+    let cancelled = false; // Set once the step is left
+    let unregister = null; // Removes the dashboard event listeners
+
+    actionQueue.current
+      .catch(() => {}) // A failed action still lets the step wait for the viewer
+      .then(() =>
+        cancelled
+          ? () => {} // Left before the actions finished; nothing to listen for
+          : listenForStepEventAsync(item.waitFor, () => {
+              if (!cancelled) goToNeighbourStepAsync(1);
+            })
+      )
+      .then((removeListeners) => {
+        if (cancelled) removeListeners();
+        else unregister = removeListeners;
+      })
+      .catch((error) => {
+        console.error("Error waiting for the interactive step:", error);
+      });
+
+    return () => {
+      cancelled = true;
+      if (unregister) unregister();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tourOpen, tourItems, currentStep]); // Trigger when the active step changes or the tour closes
+
+  /**
+   * useEffect hook to remember the step the viewer reached, and that the tour
+   * was completed once its last step is shown.
+   */
+  useEffect(() => {
+    const tour = tours[activeTour];
+    const item = tourItems[currentStep];
+    if (!tourOpen || !tour || !item) return;
+
+    const completed =
+      currentStep === tourItems.length - 1 ||
+      progress[tour.key]?.status === "completed";
+    setProgress(
+      saveTourProgress(tour.key, {
+        status: completed ? "completed" : "started",
+        step: tour.items.indexOf(item), // Among all steps, so conditions can change
+        version: tour.version,
+      })
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tourOpen, tourItems, currentStep]); // Trigger when the viewer reaches a step
+
+  /**
+   * useEffect hook to set the bound parameter to the current step or tour as
+   * the tour moves, and to its empty value once the tour closes.
+   */
+  useEffect(() => {
+    if (!parameterSync.parameter) return;
+
+    const tour = tourOpen ? tours[activeTour] || null : null;
+    const item = tourItems[currentStep] || null;
+    if (tour && parameterSync.target === "step" && !tour.items.includes(item)) {
+      return; // Still switching tours
+    }
+    if (!tour && syncedValue.current === null) return; // The tour has not run yet
+
+    const value = getSyncValue(parameterSync, tour, item);
+    if (value === syncedValue.current) return;
+    syncedValue.current = value;
+    pendingWrites.current.push(value);
+
+    // No change event follows a failed write, or one that changed nothing
+    const settleWrite = () => {
+      const index = pendingWrites.current.indexOf(value);
+      if (index !== -1) pendingWrites.current.splice(index, 1);
+    };
+    writeParameterAsync(parameterSync.parameter, value)
+      .then((changed) => {
+        if (!changed) settleWrite();
+      })
+      .catch((error) => {
+        settleWrite();
+        console.error("Error updating the bound parameter:", error);
+      });
+  }, [parameterSync, tourOpen, tours, activeTour, tourItems, currentStep]); // Trigger when the step, tour or binding changes
+
+  /**
+   * Handler for a change of the bound parameter, for example from a parameter
+   * action: jumps to the step or starts the tour it names, or closes the tour
+   * for an empty value.
+   * @param {string} value - The new parameter value.
+   */
+  const handleParameterChange = (value) => {
+    // Events arrive in the order of the writes, so an echo also settles the
+    // writes before it, whose events Tableau may have merged into this one
+    const pending = pendingWrites.current.indexOf(value);
+    if (pending !== -1) {
+      pendingWrites.current.splice(0, pending + 1);
+      return; // The tour set this value itself
+    }
+    if (value === syncedValue.current) return; // Nothing to move to
+    syncedValue.current = value;
+
+    if (isEmptySyncValue(value)) {
+      if (tourOpen) handleCloseTour();
+      return;
+    }
+
+    const target = findSyncTarget(parameterSync, tours, activeTour, value);
+    if (!target) {
+      console.warn(
+        `The parameter "${parameterSync.parameter}" names no ${parameterSync.target} of the tour: "${value}".`
+      );
+      return;
+    }
+
+    // Move within the running tour when the step is already shown
+    const items = tours[target.tourIndex].items;
+    const item = target.itemIndex === null ? null : items[target.itemIndex];
+    if (tourOpen && target.tourIndex === activeTour) {
+      if (!item) return; // The tour is already running
+      if (tourItems.includes(item)) {
+        goToStep(tourItems.indexOf(item));
+        return;
+      }
+    }
+
+    // Hand clicks back to the tour if an interactive step had released them
+    if (clickThroughTimer.current) {
+      updateClickThrough(false);
+    }
+
+    // Otherwise start the tour there, or at its first visible step after it
+    setTextVisible(false);
+    setActiveTour(target.tourIndex);
+    setTourOpen(true);
+    startTourAsync(items, target.itemIndex ?? 0);
+  };
+  parameterChangeHandler.current = handleParameterChange;
+
+  /**
+   * useEffect hook to check the step conditions again after the next filter
+   * or parameter change, rather than on every move between steps, since data
+   * conditions read the worksheet data each time.
+   */
+  useEffect(() => {
+    const allItems = tours[activeTour]?.items || [];
+    if (!tourOpen || !allItems.some((item) => item.conditions?.length > 0)) {
+      return;
+    }
+
+    let cancelled = false; // Set once the tour closes or changes
+    let unregister = null; // Removes the dashboard event listeners
+
+    listenForConditionChangesAsync(() => {
+      if (!cancelled) conditionCheck.current = null;
+    })
+      .then((removeListeners) => {
+        if (cancelled) removeListeners();
+        else unregister = removeListeners;
+      })
+      .catch((error) => {
+        console.error("Error listening for step condition changes:", error);
+      });
+
+    return () => {
+      cancelled = true;
+      if (unregister) unregister();
+    };
+  }, [tourOpen, tours, activeTour]); // Trigger when the tour opens, closes or changes
+
+  /**
+   * useEffect hook to follow changes of the bound parameter.
+   */
+  useEffect(() => {
+    if (!parameterSync.parameter) return;
+
+    let cancelled = false; // Set once the binding changes
+    let unregister = null; // Removes the parameter listener
+
+    listenForParameterAsync(parameterSync.parameter, (value) => {
+      if (!cancelled) parameterChangeHandler.current(value);
+    })
+      .then((removeListener) => {
+        if (cancelled) removeListener();
+        else unregister = removeListener;
+      })
+      .catch((error) => {
+        console.error("Error listening to the bound parameter:", error);
+      });
+
+    return () => {
+      cancelled = true;
+      if (unregister) unregister();
+    };
+  }, [parameterSync.parameter]); // Trigger when another parameter is bound
+
+  /**
+   * Ends the analytics run of the open tour: the step on screen counts as
+   * viewed, and a tour left before its last step counts as abandoned.
+   */
+  const endAnalyticsRun = () => {
+    const run = analyticsRun.current;
+    if (!run) return;
+    analyticsRun.current = null;
+
+    trackEvent(ANALYTICS_EVENTS.stepViewed, {
+      ...run.tour,
+      ...run.step,
+      dwellMs: Date.now() - run.stepShownAt,
+    });
+    if (!run.completed) trackEvent(ANALYTICS_EVENTS.tourAbandoned, run.tour);
+  };
+
+  /**
+   * useEffect hook to emit analytics events as the viewer starts a tour,
+   * moves from step to step, reaches the last step or closes the tour.
+   */
+  useEffect(() => {
+    const tour = tours[activeTour];
+    const item = tourItems[currentStep];
+    if (
+      analyticsRun.current &&
+      (!tourOpen || analyticsRun.current.tour.tour !== tour?.key)
+    ) {
+      endAnalyticsRun(); // The tour was closed or another tour was chosen
+    }
+    if (!tourOpen || !item || !tour?.items.includes(item)) return; // Not started, or still switching tours
+
+    const details = {
+      tour: tour.key, // Untranslated name, the same in every language
+      tourVersion: tour.version,
+      language,
+      stepCount: tourItems.length,
+    };
+    const step = {
+      stepId: item.id, // Saved with the step, so it survives reordering
+      stepIndex: currentStep,
+      stepTitle: item.title,
+    };
+    const run = analyticsRun.current;
+    if (!run) {
+      trackEvent(ANALYTICS_EVENTS.tourStarted, details);
+    } else if (run.step.stepId !== item.id) {
+      trackEvent(ANALYTICS_EVENTS.stepViewed, {
+        ...run.tour,
+        ...run.step,
+        dwellMs: Date.now() - run.stepShownAt,
+      });
+    }
+    if (!run || run.step.stepId !== item.id) {
+      analyticsRun.current = {
+        tour: details,
+        step,
+        stepShownAt: Date.now(),
+        completed: run?.completed || false,
+      };
+    }
+
+    // Reaching the last step completes the tour, once per run
+    if (
+      currentStep === tourItems.length - 1 &&
+      !analyticsRun.current.completed
+    ) {
+      analyticsRun.current.completed = true;
+      trackEvent(ANALYTICS_EVENTS.tourCompleted, details);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [tourItems, extensionPosition]); // Trigger when either tourItems or extensionPosition changes
+  }, [tourOpen, tourItems, currentStep, activeTour]); // Trigger when the viewer reaches a step or closes the tour
+
+  /**
+   * useEffect hook to end the analytics run when the viewer leaves the page,
+   * so a tour left open counts as abandoned.
+   */
+  useEffect(() => {
+    window.addEventListener("pagehide", endAnalyticsRun);
+    return () => window.removeEventListener("pagehide", endAnalyticsRun);
+  }, []); // Added once; the handler only uses refs
+
+  /**
+   * useEffect hook to collapse the extension zone around the launcher while
+   * the tour is closed, so the dashboard can be used, and to expand it again
+   * when the tour opens. Where Tableau cannot resize the zone, it keeps its
+   * size and the launcher is shown inside it.
+   */
+  useEffect(() => {
+    if (!extensionPosition?.isFloating || zoneResizeFailed.current) return;
+
+    const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+    const { id, x, y, width, height } = extensionPosition;
+    const isCollapsed = height <= COLLAPSED_ZONE_HEIGHT;
+
+    let target = null;
+    if (tourOpen) {
+      // Restore the size from before collapsing; a zone saved collapsed covers the dashboard
+      target =
+        expandedZone.current ||
+        (isCollapsed && {
+          x: 0,
+          y: 0,
+          width: dashboard.size.width,
+          height: dashboard.size.height,
+        });
+    } else if (launcherRef.current) {
+      if (!isCollapsed) expandedZone.current = { x, y, width, height };
+      target = {
+        x, // Keep the launcher where the top left corner of the zone was
+        y,
+        width: launcherRef.current.offsetWidth + 20, // The launcher sits 10px from the edges
+        height: launcherRef.current.offsetHeight + 20,
+      };
+    }
+
+    const isSameSize =
+      target &&
+      ["x", "y", "width", "height"].every(
+        (key) => Math.abs(target[key] - extensionPosition[key]) <= 1
+      );
+    if (!target || isSameSize) {
+      if (tourOpen) expandedZone.current = null; // Back to full size
+      return;
+    }
+
+    resizeExtensionZoneAsync(dashboard, id, target).then((resized) => {
+      if (resized) refreshLayout();
+      else zoneResizeFailed.current = true; // Fall back to the full-size zone
+    });
+  }, [tourOpen, extensionPosition, tours, activeTour, progress, uiStrings]); // Trigger when the tour opens or closes, or the launcher's size may change
+
+  /**
+   * useEffect hook to advance the tour automatically in presentation mode.
+   * Each step stays on screen for its own duration or the global default; a
+   * paused step resumes with the time it had left.
+   */
+  useEffect(() => {
+    if (!tourOpen || autoplay !== "playing" || tourItems.length === 0) return;
+
+    // Resume a paused step where it left off, otherwise start the full duration
+    const saved = autoplayRemaining.current;
+    const duration =
+      saved && saved.items === tourItems && saved.step === currentStep
+        ? saved.remaining
+        : getStepDurationMs(
+            tourItems[currentStep],
+            autoplaySettings.defaultDuration
+          );
+    const startedAt = Date.now();
+
+    const timer = setTimeout(() => {
+      autoplayRemaining.current = null;
+      const isLastStep = currentStep === tourItems.length - 1;
+
+      if (isLastStep && !autoplaySettings.loop) {
+        setAutoplay("off"); // Stop at the end when looping is turned off
+      } else {
+        goToNeighbourStepAsync(1);
+      }
+    }, duration);
+
+    return () => {
+      clearTimeout(timer);
+      // Remember the time left in case playback was paused rather than moved on
+      autoplayRemaining.current = {
+        items: tourItems,
+        step: currentStep,
+        remaining: Math.max(duration - (Date.now() - startedAt), 0),
+      };
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tourOpen, autoplay, tourItems, currentStep, autoplaySettings]); // Trigger when playback or the step changes
+
+  /**
+   * useEffect hook for keyboard navigation: the left and right arrow keys move
+   * between steps and Esc closes the tour to its launcher, like the close button.
+   */
+  useEffect(() => {
+    if (!tourOpen) return; // The launcher leaves the keys to the dashboard
+
+    const handleKeyDown = (event) => {
+      // Leave keys alone while the viewer is typing or choosing from a list
+      if (
+        event.target.closest?.(
+          "input, textarea, select, [role='listbox'], [role='combobox']"
+        )
+      ) {
+        return;
+      }
+
+      if (event.key === "ArrowRight") {
+        event.preventDefault();
+        handleNext();
+      } else if (event.key === "ArrowLeft") {
+        event.preventDefault();
+        handlePrevious();
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        handleCloseTour();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tourOpen, tourItems, currentStep, extensionPosition]); // Re-bind so the handlers see the current step
+
+  /**
+   * useEffect hook to hand keyboard focus to the launcher once the tour
+   * closes, so keyboard users are not left on a removed tooltip.
+   */
+  useEffect(() => {
+    const wasOpen = tourWasOpen.current;
+    tourWasOpen.current = tourOpen;
+    if (tourOpen || !wasOpen || !document.hasFocus()) return;
+
+    launcherRef.current?.querySelector("button")?.focus();
+  }, [tourOpen]); // Trigger when the tour opens or closes
+
+  /**
+   * useEffect hook to move keyboard focus into the tooltip whenever a step is
+   * shown, unless the viewer is moving through the step indicators.
+   */
+  useEffect(() => {
+    if (!textVisible || !tooltipRef.current || !document.hasFocus()) return;
+
+    const active = document.activeElement;
+    if (active?.getAttribute("role") === "tab") {
+      // Keep focus on the indicators so arrow keys keep moving between tabs
+      document.getElementById(getStepTabId(currentStep))?.focus();
+    } else {
+      tooltipRef.current.focus();
+    }
+  }, [textVisible, currentStep]); // Trigger when a step's tooltip appears
 
   /**
    * Function to open the configuration dialog.
@@ -117,12 +818,13 @@ const App = () => {
 
     // Display the configuration dialog with specified dimensions
     window.tableau.extensions.ui
-      .displayDialogAsync(popupUrl, "5", { height: 550, width: 700 })
+      .displayDialogAsync(popupUrl, "5", { height: 650, width: 900 })
       .then(() => {
         console.log("Configuration dialog closed.");
 
-        // Refresh the tour items after the dialog is closed, in case settings have changed
-        refreshTourItems();
+        // Refresh the tour items after the dialog is closed, in case settings have changed,
+        // and show the tour so the author sees the result
+        refreshTourItems(true);
       })
       .catch((error) => {
         // Handle errors that occur while displaying the dialog
@@ -137,65 +839,172 @@ const App = () => {
   /**
    * Function to refresh and load tour items based on saved settings.
    * It retrieves settings from Tableau, constructs tour items, and updates state.
+   * Unless told to open, the tour only opens for viewers who have not seen it.
+   * @param {boolean} [openTour] - Whether to open the tour regardless of the viewer's progress.
    */
-  const refreshTourItems = () => {
+  const refreshTourItems = (openTour = false) => {
     const tableau = window.tableau; // Access the Tableau Extensions API
     const dashboard = tableau.extensions.dashboardContent.dashboard; // Access the dashboard
 
     // Build a map of object details for easy lookup by object ID
-    const objectDetailsMap = dashboard.objects.reduce((acc, obj) => {
-      acc[obj.id] = {
-        name: obj.name || `Object ${obj.id}`, // Name of the object
-        x: obj.position.x || 0, // X-coordinate
-        y: obj.position.y || 0, // Y-coordinate
-        width: obj.size.width || 0, // Width of the object
-        height: obj.size.height || 0, // Height of the object
+    const details = getObjectDetailsMap(dashboard);
+    setObjectDetails(details);
+
+    // Load the settings document, migrating older workbooks if needed
+    const { general, tours: savedTours } = loadSettings();
+
+    // Set the font, background color and transparency from the settings
+    setFont((prev) =>
+      JSON.stringify(prev) === JSON.stringify(general.font)
+        ? prev // Unchanged; keep the same object so the font is not loaded again
+        : general.font
+    );
+    setBackgroundColor(general.backgroundColor);
+    setBackgroundTransparency(general.transparency);
+    setTooltipMaxWidth(general.tooltipMaxWidth);
+    setTheme(general.theme);
+    setSpotlightStyle(general.spotlight);
+    setTransitionStyle(general.transition);
+
+    // Set the presentation mode settings
+    setAutoplaySettings({
+      defaultDuration: general.autoplay.defaultDuration,
+      loop: general.autoplay.loop,
+    });
+    setAutoplay(general.autoplay.playOnLoad ? "playing" : "off");
+
+    // Show the translations that best match the viewer's Tableau locale
+    const viewerLanguage = resolveLanguage(
+      getViewerLanguage(),
+      general.localization
+    );
+    setLanguage(viewerLanguage);
+    setUiStrings(getUiStrings(general.localization, viewerLanguage));
+
+    // Bind the tour to the parameter chosen in the settings
+    setParameterSync(general.parameterSync);
+
+    // Send analytics events to the sinks chosen in the settings
+    analyticsSinks.current.forEach((unregister) => unregister());
+    analyticsSinks.current = createConfiguredSinks(general.analytics).map(
+      registerAnalyticsSink
+    );
+
+    // Steps whose object was deleted or recreated would draw nothing; they
+    // are skipped and reported so the author can repair them in Configure
+    const skipped = [];
+
+    // Build each tour's items, keeping only steps with something to highlight and some content;
+    // step conditions are checked when a tour starts and as it moves on
+    const updatedTours = savedTours.map((savedTour) => {
+      const tour = localizeText(savedTour, viewerLanguage, TOUR_TEXT_FIELDS);
+      return {
+        key: savedTour.name, // Untranslated name, under which progress is remembered
+        version: savedTour.version, // Content version; a higher one is shown to viewers again
+        name: tour.name, // Name shown in the picker
+        description: tour.description, // Optional description
+        items: tour.steps
+          .map((step, index) => ({
+            ...localizeText(step, viewerLanguage, STEP_TEXT_FIELDS),
+            stepNumber: index + 1, // As numbered in the Tour Items tab, for the bound parameter
+            sourceTitle: step.title, // Untranslated title, for the bound parameter
+          }))
+          .filter((step) => {
+            if (!(step.title || step.text)) return false;
+            if (getTargetRect(step, details)) return true;
+            if (step.object) {
+              skipped.push(
+                `step ${step.stepNumber} of "${savedTour.name}" (${
+                  step.objectName || `object ${step.object}`
+                })`
+              );
+            }
+            return false;
+          })
+          .map((step) => ({
+            ...step, // Title, body, position, actions, type and timing of the step
+            objectId: step.object, // ID of the dashboard object
+          })),
       };
-      return acc;
-    }, {});
-
-    const settings = tableau.extensions.settings.getAll(); // Retrieve all saved settings
-
-    const rowCount = parseInt(settings.rowCount || "0", 10); // Number of tour items
+    });
+
+    // Open the first tour the viewer has not seen in its current version;
+    // presentation mode always plays so unattended screens keep running
+    if (skipped.length > 0) {
+      console.warn(
+        "Tour steps skipped because their dashboard object no longer exists:",
+        skipped
+      );
+    }
+    setBrokenSteps(skipped);
+
+    const savedProgress = loadProgress();
+    const newTour = updatedTours.findIndex((tour) =>
+      shouldAutoStart(savedProgress[tour.key], tour.version, general.autoStart)
+    );
+    const tourIndex = Math.max(newTour, 0);
+
+    setProgress(savedProgress);
+    setTours(updatedTours); // Update the tours state
+    setActiveTour(tourIndex); // Start with the tour that opens, or the first tour
+    setTourOpen(openTour || newTour !== -1 || general.autoplay.playOnLoad);
+    startTourAsync(updatedTours[tourIndex]?.items || []); // Show the visible steps of that tour
+  };
 
-    // Retrieve and set the selected font from settings
-    const font = settings["selectedFont"] || "Roboto";
-    setSelectedFont(font);
+  /**
+   * Starts a tour from its first visible step, or from the first visible step
+   * at or after a remembered one, checking the step conditions against the
+   * dashboard as it is now.
+   * @param {Array} items - All items of the tour.
+   * @param {number} [fromItem] - Index among all items to resume from.
+   */
+  const startTourAsync = async (items, fromItem = 0) => {
+    startingItems.current = items;
+    conditionCheck.current = { items, visible: getVisibleItemsAsync(items) };
+    const visibleItems = await conditionCheck.current.visible;
+    if (startingItems.current !== items) return; // Another tour was started meanwhile
+
+    const resumeStep = visibleItems.findIndex(
+      (item) => items.indexOf(item) >= fromItem
+    );
+    setTourItems(visibleItems); // Show only the steps whose conditions are met
+    setCurrentStep(Math.max(resumeStep, 0)); // Start from the first visible step, or resume
+  };
 
-    // Retrieve and set the background color from settings
-    const bgColor = settings["backgroundColor"] || "#000000";
-    setBackgroundColor(bgColor);
+  /**
+   * Reads the position and size of the extension and of every dashboard object
+   * again, so the grey boxes and tooltip follow a dashboard whose layout has
+   * changed. The current step is kept.
+   */
+  const refreshLayout = () => {
+    const dashboard = window.tableau.extensions.dashboardContent.dashboard;
 
-    // Retrieve and set the background transparency from settings
-    const bgTransparency = settings["transparency"] || 70;
-    setBackgroundTransparency(bgTransparency);
+    const position = findExtensionPosition(dashboard);
+    if (position) setExtensionPosition(position);
 
-    // Initialize an array to hold the updated tour items
-    const updatedTourItems = [];
+    // Only the geometry changes; the items stay the same so step actions,
+    // interactive steps and presentation mode are not restarted
+    setObjectDetails(getObjectDetailsMap(dashboard));
+  };
 
-    // Loop through each saved tour item and construct the tourItems array
-    for (let i = 0; i < rowCount; i++) {
-      const objectId = settings[`tour${i}_object`]; // Selected dashboard object ID
-      const text = settings[`tour${i}_text`]; // Text for the tour step
-      const position = settings[`tour${i}_position`] || "right"; // Position of the text box
+  /**
+   * Handler to switch the viewer to a different tour from the picker.
+   * @param {number} tourIndex - The index of the tour to run.
+   */
+  const handleTourChange = (tourIndex) => {
+    setTextVisible(false); // Hide the text box during the transition
 
-      if (objectId && text) {
-        // If both object ID and text are present, add the tour item
-        updatedTourItems.push({
-          objectId, // ID of the dashboard object
-          text, // Text to display in the tooltip
-          position, // Position of the tooltip relative to the object
-          details: objectDetailsMap[objectId] || {}, // Details of the dashboard object
-        });
-      }
+    // Hand clicks back to the tour if an interactive step had released them
+    if (clickThroughTimer.current) {
+      updateClickThrough(false);
     }
 
-    setTourItems(updatedTourItems); // Update the tourItems state
-    setCurrentStep(0); // Reset to the first step after refreshing
+    setActiveTour(tourIndex); // Remember which tour is running
+    startTourAsync(tours[tourIndex]?.items || []); // Load the visible steps of the chosen tour
   };
 
   /**
-   * Function to update the positions of the grey overlay boxes and the tooltip text box
+   * Function to update the spotlight cutout and the position of the tooltip text box
    * based on the current tour step and the associated tour item.
    * @param {number} stepIndex - The index of the current tour step.
    * @param {Array} items - The list of tour items.
@@ -203,88 +1012,24 @@ const App = () => {
   const updateBoxPositions = (stepIndex, items) => {
     const item = items[stepIndex]; // Get the current tour item
 
-    if (item?.details && extensionPosition) {
-      // Ensure that the tour item has details and the extension's position is known
-      const { x, y, width, height } = item.details; // Destructure object details
-
-      // Calculate positions relative to the extension's position
-      const adjustedX = x - extensionPosition.x;
-      const adjustedY = y - extensionPosition.y;
-
-      // Define additional overlap for the grey boxes
-      const verticalOverlap = 0.1; // 10% overlap
-
-      // Calculate positions for the grey overlay boxes (top, left, right, bottom)
-      const positions = {
-        top: {
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: adjustedY, // Height from top to the object
-        },
-        left: {
-          top: adjustedY,
-          left: 0,
-          width: adjustedX, // Width from left to the object
-          height: height + verticalOverlap, // Height of the object plus overlap
-        },
-        right: {
-          top: adjustedY,
-          left: adjustedX + width,
-          width: extensionPosition.width - (adjustedX + width), // Remaining width to the right
-          height: height + verticalOverlap, // Height of the object plus overlap
-        },
-        bottom: {
-          top: adjustedY + height,
-          left: 0,
-          width: "100%",
-          height: extensionPosition.height - (adjustedY + height), // Remaining height below the object
-        },
-      };
-
-      // Update the boxPositions state with the calculated positions
-      setBoxPositions(positions);
-
-      // Define maximum width for the text box
-      const maxTextBoxWidth = 300; // Maximum width in pixels
-      const textPadding = 10; // Padding between the text box and the object
-
-      // Initialize the text box position and size
-      const textBoxPosition = { width: maxTextBoxWidth, height: "auto" };
-
-      // Determine the position of the text box based on the user's selection
-      switch (item.position) {
-        case "right":
-          textBoxPosition.top = adjustedY;
-          textBoxPosition.left = adjustedX + width + textPadding; // Position to the right of the object
-          break;
-
-        case "left":
-          textBoxPosition.top = adjustedY;
-          // Ensure the text box doesn't go beyond the left boundary
-          textBoxPosition.left = Math.max(
-            adjustedX - maxTextBoxWidth - textPadding * 3,
-            0
-          );
-          break;
-
-        case "top":
-          textBoxPosition.top = Math.max(
-            height - textPadding * 3, // Position above the object with some padding
-            0
-          );
-          textBoxPosition.left = adjustedX;
-          break;
-
-        case "bottom":
-        default:
-          textBoxPosition.top = adjustedY + height + textPadding; // Position below the object with some padding
-          textBoxPosition.left = adjustedX;
-          break;
-      }
+    const rects = item ? getStepRects(item, objectDetails) : [];
+
+    if (rects.length > 0 && extensionPosition) {
+      // Ensure that the tour item's objects are found and the extension's position is known
+      const layout = computeStepLayout(
+        rects,
+        extensionPosition,
+        item.position,
+        {
+          maxWidth: tooltipMaxWidth,
+          size: tooltipSize,
+          padding: resolveSpotlight(spotlightStyle, item.spotlight).padding,
+        }
+      );
 
-      // Update the textPosition state with the calculated position
-      setTextPosition(textBoxPosition);
+      // Update the spotlight and the text box with the calculated positions
+      setCutouts(layout.cutouts);
+      setTextPosition(layout.text);
 
       // Make the text box visible to display the current step's information
       setTextVisible(true);
@@ -292,67 +1037,241 @@ const App = () => {
   };
 
   /**
-   * Handler to navigate to the next tour step.
-   * It wraps around to the first step after the last step.
+   * Turns click-through on or off. While it is on, clicks reach the dashboard
+   * so the viewer can try an interactive step; it switches off by itself after
+   * a while so the hint and skip link become usable again.
+   * @param {boolean} enabled - Whether clicks should pass through to the dashboard.
    */
-  const handleNext = () => {
-    const nextStep = (currentStep + 1) % tourItems.length; // Calculate the next step index
+  const updateClickThrough = (enabled) => {
+    clearTimeout(clickThroughTimer.current);
+    clickThroughTimer.current = enabled
+      ? setTimeout(() => updateClickThrough(false), CLICK_THROUGH_TIMEOUT)
+      : null;
+
+    setClickThrough(enabled);
+    setClickThroughAsync(enabled);
+  };
+
+  /**
+   * Moves the tour to a specific step.
+   * @param {number} stepIndex - The index of the step to show.
+   * @param {Array} [items] - The visible items, when they have just changed.
+   */
+  const goToStep = (stepIndex, items = tourItems) => {
     setTextVisible(false); // Hide the text box during the transition
 
+    // Hand clicks back to the tour if an interactive step had released them
+    if (clickThroughTimer.current) {
+      updateClickThrough(false);
+    }
+
     // Update the current step index
-    setCurrentStep(nextStep);
+    setCurrentStep(stepIndex);
 
     // Update positions based on the new step
-    updateBoxPositions(nextStep, tourItems);
+    updateBoxPositions(stepIndex, items);
   };
 
   /**
-   * Handler to navigate to the previous tour step.
-   * It wraps around to the last step when navigating backward from the first step.
+   * Moves to the next or previous visible step, wrapping around at the ends.
+   * The step conditions are checked again first if the viewer or a step's
+   * actions changed a filter or parameter since they were last checked.
+   * @param {number} direction - 1 to move forward, -1 to move back.
    */
-  const handlePrevious = () => {
-    const prevStep = (currentStep - 1 + tourItems.length) % tourItems.length; // Calculate the previous step index
-    setTextVisible(false); // Hide the text box during the transition
+  const goToNeighbourStepAsync = async (direction) => {
+    const allItems = tours[activeTour]?.items || [];
+    if (conditionCheck.current?.items !== allItems) {
+      conditionCheck.current = {
+        items: allItems,
+        visible: getVisibleItemsAsync(allItems),
+      };
+    }
+    const visibleItems = await conditionCheck.current.visible;
+    if (visibleItems.length === 0) {
+      setTourItems([]); // No step applies any more
+      return;
+    }
 
-    // Update the current step index
-    setCurrentStep(prevStep);
+    // Walk the full tour from the current step so hidden steps keep their place
+    const count = allItems.length;
+    const start = allItems.indexOf(tourItems[currentStep]);
+    let target = visibleItems[0];
+    for (let offset = 1; start !== -1 && offset <= count; offset++) {
+      const item = allItems[(start + direction * offset + count) % count];
+      if (visibleItems.includes(item)) {
+        target = item;
+        break;
+      }
+    }
 
-    // Update positions based on the new step
-    updateBoxPositions(prevStep, tourItems);
+    // Keep the same list when nothing changed so running steps are not restarted
+    const unchanged =
+      visibleItems.length === tourItems.length &&
+      visibleItems.every((item, index) => item === tourItems[index]);
+    const items = unchanged ? tourItems : visibleItems;
+    if (!unchanged) setTourItems(items);
+
+    goToStep(items.indexOf(target), items);
   };
 
   /**
-   * useEffect hook to dynamically load the selected Google Font by injecting
-   * a link tag into the document head whenever the selectedFont state changes.
+   * Handler to open the active tour from the launcher.
+   * @param {number} [fromItem] - Index among all items of the step to resume from.
    */
-  useEffect(() => {
-    if (selectedFont) {
-      const linkId = "google-font-link"; // ID to identify the font link tag
+  const handleOpenTour = (fromItem = 0) => {
+    setTourOpen(true);
+    startTourAsync(tours[activeTour]?.items || [], fromItem);
+  };
 
-      // Remove existing font link if it exists to avoid duplicates
-      const existingLink = document.getElementById(linkId);
-      if (existingLink) {
-        existingLink.parentNode.removeChild(existingLink);
-      }
+  /**
+   * Handler to close the tour to its launcher. The tour is remembered as
+   * dismissed unless the viewer already reached its last step.
+   * @param {boolean} [hide] - Whether the viewer asked not to be shown the tour again.
+   */
+  const handleCloseTour = (hide = false) => {
+    const tour = tours[activeTour];
+    if (tour) {
+      const completed = progress[tour.key]?.status === "completed";
+      setProgress(
+        saveTourProgress(tour.key, {
+          status: completed ? "completed" : "dismissed",
+          version: tour.version,
+          ...(hide && { hidden: true }), // Never opens by itself again
+        })
+      );
+    }
 
-      // Create a new link element for the selected font
-      const link = document.createElement("link");
-      link.id = linkId;
-      link.rel = "stylesheet";
-      // Construct the Google Fonts URL with the selected font, replacing spaces with '+'
-      link.href = `https://fonts.googleapis.com/css2?family=${selectedFont.replace(
-        / /g,
-        "+"
-      )}:wght@400;700&display=swap`;
-
-      // Append the link element to the document head to load the font
-      document.head.appendChild(link);
+    // Hand clicks back to the tour if an interactive step had released them
+    if (clickThroughTimer.current) {
+      updateClickThrough(false);
     }
-  }, [selectedFont]); // Trigger this effect when selectedFont changes
+
+    setAutoplay("off"); // A closed tour does not keep playing
+    setTourOpen(false);
+  };
+
+  /**
+   * Handler to start, pause or resume presentation mode.
+   */
+  const handleTogglePlay = () => {
+    setAutoplay((prev) => (prev === "playing" ? "paused" : "playing"));
+  };
+
+  /**
+   * Handler that pauses presentation mode as soon as the viewer interacts
+   * with the tour, so they can read or explore at their own pace.
+   */
+  const handleViewerInteraction = () => {
+    setAutoplay((prev) => (prev === "playing" ? "paused" : prev));
+  };
+
+  /**
+   * Handler to navigate to the next visible tour step.
+   * It wraps around to the first step after the last step.
+   * Interactive steps only advance once the viewer has done the requested action.
+   */
+  const handleNext = () => {
+    if (tourItems[currentStep]?.type === "interactive") return;
+
+    goToNeighbourStepAsync(1);
+  };
+
+  /**
+   * Handler to skip an interactive step without doing the requested action.
+   */
+  const handleSkip = () => {
+    const run = analyticsRun.current;
+    if (run) {
+      trackEvent(ANALYTICS_EVENTS.stepSkipped, { ...run.tour, ...run.step });
+    }
+    goToNeighbourStepAsync(1);
+  };
+
+  /**
+   * Handler to navigate to the previous visible tour step.
+   * It wraps around to the last step when navigating backward from the first step.
+   */
+  const handlePrevious = () => {
+    goToNeighbourStepAsync(-1);
+  };
+
+  /**
+   * useEffect hook to load the font of the tour text whenever it changes, and
+   * to record whether it loaded so a failure can be reported.
+   */
+  useEffect(() => {
+    let cancelled = false; // Ignore the result once another font is chosen
+    setFontLoaded(null);
+    loadFontAsync(font).then((loaded) => {
+      if (!cancelled) setFontLoaded(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [font]); // Trigger this effect when the font changes
+
+  // Problems with how the extension zone is set up, once the dashboard is known
+  const setupWarnings =
+    tourOpen && Object.keys(objectDetails).length > 0
+      ? getSetupWarnings(
+          extensionPosition,
+          objectDetails,
+          tours.flatMap((tour) =>
+            tour.items.flatMap((item) => [
+              item.objectId,
+              ...item.targets.map((target) => target.object),
+            ])
+          )
+        )
+      : [];
+
+  // Steps skipped for a missing object are reported too, so they are not lost silently
+  if (tourOpen && brokenSteps.length > 0) {
+    setupWarnings.push(
+      `Skipped ${brokenSteps.join(
+        ", "
+      )} because the dashboard object no longer exists. Open Configure to repair the tour.`
+    );
+  }
+
+  // A font that failed to load is reported too, since the text looks different
+  if (tourOpen && fontLoaded === false) {
+    setupWarnings.push(
+      `The font "${font.family}" could not be loaded, so the tour uses ${font.fallback} instead.`
+    );
+  }
+
+  // CSS font-family of the tour text, with its fallback chain
+  const fontFamily = getFontFamily(font);
+
+  // Transition into the current step, with the step's overrides
+  const stepTransition = resolveTransition(
+    transitionStyle,
+    tourItems[currentStep]?.transition
+  );
+  const tooltipEntrance = tooltipEntrances[stepTransition.tooltip];
+
+  // Whether the active step waits for the viewer instead of the forward arrow
+  const isInteractiveStep = tourItems[currentStep]?.type === "interactive";
+
+  // Tour Picker, shown only when more than one tour is configured
+  const tourPicker = tours.length > 1 && (
+    <TourPicker
+      tours={tours}
+      value={activeTour}
+      onChange={handleTourChange}
+      fontFamily={fontFamily}
+      label={uiStrings.chooseTour}
+    />
+  );
+
+  // Where the viewer left the active tour, if they can pick up from there
+  const activeProgress = progress[tours[activeTour]?.key];
 
   return (
     // Main container with relative positioning to allow absolute positioning of child elements
     <Box
+      lang={language} // Lets screen readers pronounce the translated text correctly
       sx={{
         position: "relative", // Set relative positioning to contain absolutely positioned children
         height: extensionPosition
@@ -364,117 +1283,222 @@ const App = () => {
         overflow: "hidden", // Hide any overflowing content
         backgroundColor: "transparent", // Transparent background
       }}
+      onPointerDown={handleViewerInteraction} // Pause presentation mode on any click
+      onKeyDown={handleViewerInteraction} // Pause presentation mode on any key press
     >
-      {/* Render grey overlay boxes around the Tableau extension */}
-      {Object.keys(boxPositions).map((key) => (
-        <Box
-          key={key} // Unique key for each box
-          className={`grey-box grey-box-${key}`} // Add unique classes for potential additional styling
-          sx={{
-            position: "absolute", // Absolutely position the grey boxes
-            backgroundColor: alpha(
-              backgroundColor, // Apply the selected background color
-              backgroundTransparency / 100 // Convert transparency percentage to decimal
-            ),
-            ...boxPositions[key], // Spread the position and size properties for the specific box
-            zIndex: 1, // Set z-index to place the grey boxes behind other elements
-          }}
-        />
-      ))}
-
-      {/* Navigation Buttons and Tour Item Indicators */}
-      <Box
-        sx={{
-          position: "absolute", // Absolutely position the navigation container
-          top: "10px", // 10px from the top
-          left: "10px", // 10px from the left
-          display: "flex", // Enable flexbox layout
-          gap: "10px", // Space between child elements
-          alignItems: "center", // Vertically center items within the container
-          zIndex: 2, // Higher z-index to appear above grey boxes
-        }}
-      >
-        {/* Back Arrow Icon Button */}
-        <ArrowBackIosNewIcon
-          onClick={handlePrevious} // Navigate to the previous step on click
-          sx={{
-            color: "#EEEEEE", // Light grey color
-            padding: "4px", // Padding around the icon
-            fontSize: "20px", // Icon size
-            cursor: "pointer", // Pointer cursor on hover
-          }}
+      {/* Dimmed overlay with spotlight cutouts around the current step's objects */}
+      {tourOpen && cutouts && (
+        <SpotlightOverlay
+          cutouts={cutouts}
+          color={backgroundColor} // Apply the selected background color
+          opacity={backgroundTransparency / 100} // Convert transparency percentage to decimal
+          spotlight={resolveSpotlight(
+            spotlightStyle,
+            tourItems[currentStep]?.spotlight
+          )}
+          zIndex={1} // Place the overlay behind the navigation and tooltip
+          transition={getSpotlightTransition(stepTransition)} // Move to the step's target as configured
         />
+      )}
 
-        {/* Container for Tour Item Indicators (Circles) */}
-        <Box
+      {/* Navigation Buttons and Tour Item Indicators, or the Launcher While Closed */}
+      {tourOpen ? (
+        <TourNavigation
+          steps={tourItems}
+          currentStep={currentStep}
+          onPrevious={handlePrevious} // Navigate to the previous step
+          onNext={handleNext} // Navigate to the next step
+          onSelectStep={goToStep} // Jump to the chosen step
+          nextDisabled={isInteractiveStep} // Interactive steps wait for the viewer
+          playing={autoplay === "playing"}
+          onTogglePlay={handleTogglePlay} // Start, pause or resume presentation mode
+          controlsId="tour-step-tooltip"
+          strings={uiStrings} // Labels in the viewer's language
+          theme={theme} // Colors of the arrows and indicators
+          onClose={() => handleCloseTour()} // Close to the launcher
+          onHide={() => handleCloseTour(true)} // Close and never open by itself again
+        >
+          {tourPicker}
+        </TourNavigation>
+      ) : (
+        tours.some((tour) => tour.items.length > 0) && (
+          <TourLauncher
+            strings={uiStrings} // Labels in the viewer's language
+            resumeStep={canResume(activeProgress) ? activeProgress.step : null}
+            onStart={() => handleOpenTour()} // Start from the first step
+            onResume={() => handleOpenTour(activeProgress.step)} // Pick up where the viewer left off
+            fontFamily={fontFamily}
+            containerRef={launcherRef} // Measured to collapse the zone around the launcher
+          >
+            {tourPicker}
+          </TourLauncher>
+        )
+      )}
+
+      {/* Warning When the Extension Zone Cannot Spotlight the Dashboard */}
+      {setupWarnings.length > 0 && !setupWarningDismissed && (
+        <Alert
+          severity="warning"
+          onClose={() => setSetupWarningDismissed(true)} // Hide until the next load
           sx={{
-            display: "flex", // Enable flexbox layout
-            gap: "5px", // Space between circles
-            alignItems: "center", // Vertically center circles
+            position: "absolute", // Float above the tour
+            left: "10px", // 10px from the left
+            bottom: "10px", // 10px from the bottom
+            maxWidth: "480px", // Keep the warning compact
+            zIndex: 4, // Above the grey boxes and tooltip
           }}
         >
-          {/* Render a circle for each tour item */}
-          {tourItems.map((_, index) => (
-            <Box
-              key={index} // Unique key for each circle
-              onClick={() => {
-                setTextVisible(false); // Hide the text box before changing steps
-
-                setCurrentStep(index); // Set the current step to the clicked index
-                updateBoxPositions(index, tourItems); // Update positions based on the clicked step
-              }}
-              sx={{
-                width: currentStep === index ? "30px" : "12px", // Larger circle if active
-                height: "12px", // Circle height
-                borderRadius: "6px", // Make the box a circle or oval
-                backgroundColor: currentStep === index ? "#FFFFFF" : "#BBBBBB", // White if active, grey otherwise
-                transition: "all 0.3s ease", // Smooth transition for size and color changes
-                cursor: "pointer", // Pointer cursor on hover
-              }}
-            />
+          {setupWarnings.map((warning) => (
+            <div key={warning}>{warning}</div>
           ))}
-        </Box>
+        </Alert>
+      )}
 
-        {/* Forward Arrow Icon Button */}
-        <ArrowForwardIosIcon
-          onClick={handleNext} // Navigate to the next step on click
-          sx={{
-            color: "#EEEEEE", // Light grey color
-            padding: "4px", // Padding around the icon
-            fontSize: "20px", // Icon size
-            cursor: "pointer", // Pointer cursor on hover
-          }}
-        />
+      {/* Live Region Announcing the Current Step to Screen Readers */}
+      <Box aria-live="polite" aria-atomic="true" sx={visuallyHidden}>
+        {tourOpen &&
+          tourItems[currentStep] &&
+          `${formatString(uiStrings.stepCounter, {
+            number: currentStep + 1,
+            total: tourItems.length,
+          })}: ${
+            tourItems[currentStep].title ||
+            objectDetails[tourItems[currentStep].objectId]?.name ||
+            ""
+          }`}
       </Box>
 
       {/* Render the tour text box for the current step */}
-      {tourItems[currentStep] && textPosition && textVisible && (
+      {tourOpen && tourItems[currentStep] && textPosition && textVisible && (
         <Box
+          key={`${activeTour}-${currentStep}`} // A new tooltip per step, so its entrance plays
           className="tour-text-box" // Class for additional styling if needed
+          id="tour-step-tooltip"
+          ref={tooltipRef}
+          role="dialog"
+          aria-labelledby={
+            tourItems[currentStep].title ? "tour-step-title" : undefined
+          }
+          aria-label={
+            tourItems[currentStep].title
+              ? undefined
+              : formatString(uiStrings.stepCounter, {
+                  number: currentStep + 1,
+                  total: tourItems.length,
+                })
+          }
+          tabIndex={-1} // Focusable from script so focus can be moved into it
+          onKeyDown={(e) => trapFocus(e, tooltipRef.current)} // Keep Tab inside the tooltip
           sx={{
             position: "absolute", // Absolutely position the text box
             top: `${textPosition.top}px`, // Set top position based on calculation
             left: `${textPosition.left}px`, // Set left position based on calculation
-            width: `${textPosition.width}px`, // Set width based on calculation
-            backgroundColor: "white", // White background for readability
+            width: "max-content", // As wide as the text needs, so short tooltips are placed by their real width
+            maxWidth: `${textPosition.maxWidth}px`, // Wrap at the calculated maximum width
+            maxHeight: `${textPosition.maxHeight}px`, // Never taller than the extension
+            boxSizing: "border-box", // Width and height include the padding
+            display: "flex", // Stack the contents so only the body scrolls
+            flexDirection: "column",
+            ...getTooltipSx(theme), // Background, text color, border and shadow of the theme
             padding: "10px", // Padding inside the text box
             borderRadius: "8px", // Rounded corners
-            boxShadow: "0px 4px 8px rgba(0, 0, 0, 0.3)", // Shadow for depth
             zIndex: 3, // Highest z-index to appear above all other elements
             opacity: 1, // Set opacity to fully visible
+            overflow: "hidden", // Clip the progress bar to the rounded corners
+            outline: "none", // The tooltip itself needs no focus ring
+            transition: layoutTransition, // Glide to new positions when the layout changes
+            animation: tooltipEntrance
+              ? `${tooltipEntrance} ${stepTransition.duration}ms ${
+                  stepTransition.easing
+                } ${getTooltipDelay(stepTransition)}ms both`
+              : "none", // Appear once the spotlight has reached the step's target
+            "@media (prefers-reduced-motion: reduce)": {
+              transition: "none",
+              animation: "none",
+            }, // Respect reduced motion
           }}
         >
-          <Typography
-            variant="body1"
+          {/* Progress Bar for the Current Step in Presentation Mode */}
+          {autoplay !== "off" && (
+            <AutoplayProgress
+              key={`${activeTour}-${currentStep}`} // Restart the bar on every step
+              durationMs={getStepDurationMs(
+                tourItems[currentStep],
+                autoplaySettings.defaultDuration
+              )}
+              playing={autoplay === "playing"}
+              color={theme.textColor} // Always contrasts with the tooltip
+              label={uiStrings.timeLeft}
+            />
+          )}
+
+          {/* Display the title for the current step, if any */}
+          {tourItems[currentStep].title && (
+            <Typography
+              id="tour-step-title"
+              variant="subtitle1"
+              component="h2"
+              sx={{
+                color: "inherit", // Text color of the theme
+                fontSize: `${theme.fontSize * 1.125}px`, // Slightly larger than the body
+                fontWeight: 700, // Bold title to stand out from the body
+                mb: 0.5, // Small gap above the body
+                fontFamily, // Apply the selected font and its fallbacks
+              }}
+            >
+              {tourItems[currentStep].title}
+            </Typography>
+          )}
+
+          {/* Display the formatted body for the current step */}
+          <RichText
+            text={tourItems[currentStep].text}
             sx={{
-              color: "black", // Black text color
-              whiteSpace: "normal", // Allow text to wrap
-              fontFamily: selectedFont, // Apply the selected Google Font
+              color: "inherit", // Text color of the theme
+              fontFamily, // Apply the selected font and its fallbacks
+              fontSize: `${theme.fontSize}px`, // Font size of the theme
+              overflowY: "auto", // Scroll long bodies instead of clipping them
             }}
-          >
-            {tourItems[currentStep].text}{" "}
-            {/* Display the tour text for the current step */}
-          </Typography>
+          />
+
+          {/* Hint, Try-It Button and Skip Link for Interactive Steps */}
+          {isInteractiveStep && (
+            <Box sx={{ mt: 1 }}>
+              {tourItems[currentStep].hint && (
+                <Typography
+                  variant="body2"
+                  sx={{
+                    color: "inherit", // Text color of the theme
+                    opacity: 0.75, // Muted to set the hint apart
+                    fontSize: `${theme.fontSize * 0.875}px`, // Slightly smaller than the body
+                    fontStyle: "italic", // Italic to read as guidance
+                    fontFamily, // Apply the selected font and its fallbacks
+                  }}
+                >
+                  {tourItems[currentStep].hint}
+                </Typography>
+              )}
+              <Box
+                sx={{ display: "flex", alignItems: "center", gap: 2, mt: 1 }}
+              >
+                <Button
+                  variant="contained"
+                  size="small"
+                  disabled={clickThrough} // Already waiting for the viewer
+                  onClick={() => updateClickThrough(true)} // Let clicks reach the dashboard
+                >
+                  {clickThrough ? uiStrings.waiting : uiStrings.tryIt}
+                </Button>
+                <Link
+                  component="button"
+                  variant="body2"
+                  onClick={handleSkip} // Move on without doing the action
+                >
+                  {uiStrings.skip}
+                </Link>
+              </Box>
+            </Box>
+          )}
         </Box>
       )}
     </Box>
@@ -1,8 +1,16 @@
 // Import necessary React hooks and Material-UI components
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import {
+  Alert,
   Box,
   Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
   TextField,
   IconButton,
   MenuItem,
@@ -17,10 +25,134 @@ import DeleteIcon from "@mui/icons-material/Delete";
 import AddIcon from "@mui/icons-material/Add";
 import ArrowUpwardIcon from "@mui/icons-material/ArrowUpward";
 import ArrowDownwardIcon from "@mui/icons-material/ArrowDownward";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+import FileUploadIcon from "@mui/icons-material/FileUpload";
+import TranslateIcon from "@mui/icons-material/Translate";
+import InsightsIcon from "@mui/icons-material/Insights";
+import DragIndicatorIcon from "@mui/icons-material/DragIndicator";
+import UndoIcon from "@mui/icons-material/Undo";
+import RedoIcon from "@mui/icons-material/Redo";
 
 // Import ChromePicker from react-color for color selection
 import { ChromePicker } from "react-color";
 
+// Import the Markdown editor used for the body of each tour item
+import RichTextEditor from "./components/RichTextEditor";
+
+// Import the editors for the dashboard actions and type of each tour item
+import StepActionsEditor from "./components/StepActionsEditor";
+import InteractiveStepEditor from "./components/InteractiveStepEditor";
+import { loadDashboardMetadataAsync } from "./utils/dashboardMetadata";
+
+// Import the default step duration used by presentation mode
+import { DEFAULT_STEP_DURATION } from "./utils/autoplay";
+
+// Import the choices for when the tour opens by itself
+import { AUTO_START_OPTIONS } from "./utils/progress";
+
+// Import the layout map and the layout helpers it shares with the tour
+import LayoutMap from "./components/LayoutMap";
+import {
+  DEFAULT_TEXT_BOX_WIDTH,
+  findExtensionPosition,
+  getObjectRect,
+  getSetupWarnings,
+} from "./utils/layout";
+
+// Import the editor for regions and extra highlights of a step
+import TargetsEditor from "./components/TargetsEditor";
+
+// Import the editor for the conditions that decide whether a step is shown
+import ConditionsEditor from "./components/ConditionsEditor";
+
+// Import the spotlight style editor and helpers
+import SpotlightEditor from "./components/SpotlightEditor";
+import {
+  createDefaultSpotlight,
+  resolveSpotlight,
+  validateSpotlight,
+} from "./utils/spotlight";
+
+// Import the transition editor and helpers
+import TransitionEditor from "./components/TransitionEditor";
+import {
+  createDefaultTransition,
+  validateTransition,
+} from "./utils/transitions";
+
+// Import the font picker and helpers
+import FontPicker from "./components/FontPicker";
+import { createDefaultFont, getFontFamily, validateFont } from "./utils/fonts";
+
+// Import the theme editor and helpers
+import ThemeEditor from "./components/ThemeEditor";
+import { createDefaultTheme, validateTheme } from "./utils/theme";
+
+// Import the analytics summary and settings helpers
+import AnalyticsSummaryDialog from "./components/AnalyticsSummaryDialog";
+import { createDefaultAnalytics, validateAnalytics } from "./utils/analytics";
+
+// Import the choices for binding the tour to a parameter
+import {
+  SYNC_STEP_VALUES,
+  SYNC_TARGETS,
+  createDefaultParameterSync,
+  findSyncConflicts,
+} from "./utils/parameterSync";
+
+// Import the dialog and helpers for moving tours between workbooks
+import ImportReportDialog from "./components/ImportReportDialog";
+import { exportTourFile, planImport } from "./utils/tourTransfer";
+
+// Import the helpers for finding and repairing steps whose object is missing
+import {
+  findStaleReferences,
+  recordObjectNames,
+  replaceObject,
+} from "./utils/objectReferences";
+
+// Import the editors, dialog and helpers for translating the tour
+import LanguagesEditor from "./components/LanguagesEditor";
+import TranslationsEditor from "./components/TranslationsEditor";
+import TranslationImportDialog from "./components/TranslationImportDialog";
+import {
+  createDefaultLocalization,
+  validateLocalization,
+} from "./utils/localization";
+import {
+  exportTranslationTable,
+  importTranslationTable,
+} from "./utils/translationTable";
+
+// Import the helpers for editing several steps at once and for undo and redo
+import {
+  deleteSteps,
+  duplicateSteps,
+  moveSteps,
+  moveStepsTo,
+} from "./utils/stepList";
+import {
+  createEditHistory,
+  hasUnsavedEdits,
+  recordEdit,
+  redoEdit,
+  undoEdit,
+} from "./utils/editHistory";
+
+// Import the shared settings module that reads and writes the settings document
+import {
+  SETTINGS_SIZE_LIMIT,
+  SETTINGS_SIZE_WARNING,
+  SETTINGS_VERSION,
+  createStep,
+  createStepId,
+  createTour,
+  getSettingsSize,
+  loadSettings,
+  saveSettingsAsync,
+} from "./utils/settings";
+
 /**
  * TabPanel component to manage the content of each tab.
  * It renders its children only when the current tab value matches its index.
@@ -45,20 +177,30 @@ function TabPanel(props) {
 
 /**
  * Configure component serves as a dialog for configuring tour settings.
- * Users can select fonts, background colors, transparency levels, and manage tour items.
+ * Users can select fonts, background colors, transparency levels, and manage
+ * one or more named tours with their tour items.
  */
 const Configure = () => {
-  // State to manage the list of tour items (rows)
-  const [rows, setRows] = useState([]);
+  // State to manage the list of named tours, each holding its own rows
+  const [tours, setTours] = useState([]);
+
+  // State to track which tour is being edited in the Tour Items tab
+  const [selectedTour, setSelectedTour] = useState(0);
 
   // State to hold available dashboard objects fetched from Tableau
   const [dashboardObjects, setDashboardObjects] = useState([]);
 
+  // State to hold the worksheets, fields and parameters offered for step actions
+  const [dashboardMetadata, setDashboardMetadata] = useState({
+    worksheets: [],
+    parameters: [],
+  });
+
   // State to track the currently active tab (0: General, 1: Tour Items)
   const [tabValue, setTabValue] = useState(0);
 
-  // State to manage the selected font; default is "Roboto"
-  const [selectedFont, setSelectedFont] = useState("Roboto");
+  // State to manage the font of the tour text; default is Roboto from Google Fonts
+  const [font, setFont] = useState(createDefaultFont());
 
   // State to manage the selected background color; default is light grey
   const [backgroundColor, setBackgroundColor] = useState("#f9f9f9");
@@ -66,19 +208,143 @@ const Configure = () => {
   // State to manage transparency percentage; default is 70%
   const [transparency, setTransparency] = useState(70);
 
-  // Example list of Google Fonts for the font selection dropdown
-  const googleFonts = [
-    "Roboto",
-    "Open Sans",
-    "Lato",
-    "Montserrat",
-    "Source Sans Pro",
-    "Slabo 27px",
-    "Oswald",
-    "Raleway",
-    "Merriweather",
-    "Ubuntu",
-  ];
+  // State to manage the maximum width of the tooltip in pixels
+  const [tooltipMaxWidth, setTooltipMaxWidth] = useState(
+    DEFAULT_TEXT_BOX_WIDTH
+  );
+
+  // State to manage the general spotlight style
+  const [spotlightStyle, setSpotlightStyle] = useState(
+    createDefaultSpotlight()
+  );
+
+  // State to manage the general transition between steps
+  const [transitionStyle, setTransitionStyle] = useState(
+    createDefaultTransition()
+  );
+
+  // State to manage the colors and sizes of the tooltip, navigation and indicators
+  const [theme, setTheme] = useState(createDefaultTheme());
+
+  // State to manage the theme presets saved by authors
+  const [themePresets, setThemePresets] = useState([]);
+
+  // State to manage whether presentation mode starts playing when the dashboard loads
+  const [autoplayOnLoad, setAutoplayOnLoad] = useState(false);
+
+  // State to manage the default number of seconds each step stays on screen
+  const [autoplayDuration, setAutoplayDuration] = useState(
+    DEFAULT_STEP_DURATION
+  );
+
+  // State to manage whether presentation mode starts over after the last step
+  const [autoplayLoop, setAutoplayLoop] = useState(true);
+
+  // State to manage when the tour opens by itself as the dashboard loads
+  const [autoStart, setAutoStart] = useState("new");
+
+  // State to manage the languages of the tour and the text of its controls
+  const [localization, setLocalization] = useState(createDefaultLocalization());
+
+  // State to manage where the tour sends its analytics events
+  const [analytics, setAnalytics] = useState(createDefaultAnalytics());
+
+  // State to manage the parameter bound to the current step or tour
+  const [parameterSync, setParameterSync] = useState(
+    createDefaultParameterSync()
+  );
+
+  // State to track whether the analytics summary is shown
+  const [analyticsOpen, setAnalyticsOpen] = useState(false);
+
+  // State to hold the dashboard size and the extension zone, drawn by the layout map
+  const [dashboardSize, setDashboardSize] = useState(null);
+  const [extensionPosition, setExtensionPosition] = useState(null);
+
+  // State to track the row selected for the layout map, by row ID
+  const [selectedRow, setSelectedRow] = useState(null);
+
+  // State to track the rows ticked for moving, duplicating or deleting together, by row ID
+  const [checkedRows, setCheckedRows] = useState([]);
+
+  // State to track the rows being dragged and where they would be dropped
+  const [drag, setDrag] = useState(null);
+
+  // State to hold the undo and redo history, once the saved settings are loaded
+  const [loaded, setLoaded] = useState(false);
+  const [history, setHistory] = useState(null);
+
+  // State to track whether Cancel is asking to discard unsaved changes
+  const [cancelConfirmOpen, setCancelConfirmOpen] = useState(false);
+
+  // State to track whether Delete Tour is asking for confirmation
+  const [deleteTourConfirmOpen, setDeleteTourConfirmOpen] = useState(false);
+
+  // State to hold the message shown when Tableau rejects the save
+  const [saveError, setSaveError] = useState("");
+
+  // State to manage the dry-run result of an import, and any error reading the file
+  const [importPlan, setImportPlan] = useState(null);
+  const [importError, setImportError] = useState("");
+
+  // Reference to the hidden file input used by the Import button
+  const importInputRef = useRef(null);
+
+  // State to manage an imported translation table before it is applied, and any error reading it
+  const [translationImport, setTranslationImport] = useState(null);
+  const [translationError, setTranslationError] = useState("");
+
+  // Reference to the hidden file input used by the Import Translations button
+  const translationInputRef = useRef(null);
+
+  /**
+   * Fills the dialog from a settings document.
+   * @param {object} document - A valid settings document.
+   */
+  const applySettings = (document) => {
+    const { general, tours: savedTours } = document;
+
+    // Populate the tours state; a new extension starts with one empty tour
+    const loadedTours =
+      savedTours.length > 0 ? savedTours : [createTour("Tour 1")];
+    setTours(
+      loadedTours.map((tour) => ({
+        name: tour.name, // Name shown in the picker
+        description: tour.description, // Optional description
+        translations: tour.translations, // Name and description in other languages
+        version: tour.version, // Content version; increasing it shows the tour again
+        rows: tour.steps, // Each step's saved ID also identifies its row
+      }))
+    );
+    setSelectedTour(0);
+    setSelectedRow(null);
+    setCheckedRows([]);
+
+    // Set font, background color and transparency from the settings
+    setFont(general.font);
+    setBackgroundColor(general.backgroundColor);
+    setTransparency(general.transparency);
+    setTooltipMaxWidth(general.tooltipMaxWidth);
+    setSpotlightStyle(general.spotlight);
+    setTransitionStyle(general.transition);
+    setTheme(general.theme);
+    setThemePresets(general.themePresets);
+
+    // Set presentation mode settings
+    setAutoplayOnLoad(general.autoplay.playOnLoad);
+    setAutoplayDuration(general.autoplay.defaultDuration);
+    setAutoplayLoop(general.autoplay.loop);
+    setAutoStart(general.autoStart);
+
+    // Set the languages and the text of the tour's controls
+    setLocalization(general.localization);
+
+    // Set where analytics events are sent
+    setAnalytics(general.analytics);
+
+    // Set the parameter bound to the tour
+    setParameterSync(general.parameterSync);
+  };
 
   /**
    * useEffect hook to initialize the dialog and load saved settings from Tableau.
@@ -89,35 +355,9 @@ const Configure = () => {
 
     // Initialize the Tableau dialog
     tableau.extensions.initializeDialogAsync().then(() => {
-      const settings = tableau.extensions.settings.getAll(); // Retrieve all saved settings
-
-      // Parse the number of tour items (rows) from settings
-      const rowCount = parseInt(settings.rowCount || "0", 10);
-
-      // Populate the rows state based on saved settings
-      const loadedRows = [];
-      for (let i = 0; i < rowCount; i++) {
-        loadedRows.push({
-          id: i, // Unique identifier for each row
-          object: settings[`tour${i}_object`] || "", // Selected dashboard object
-          text: settings[`tour${i}_text`] || "", // Text for the tour item
-          position: settings[`tour${i}_position`] || "right", // Position of the text box relative to the object
-        });
-      }
-      setRows(loadedRows); // Update the rows state
-
-      // Set selected font from settings or default to "Roboto"
-      setSelectedFont(settings.selectedFont || "Roboto");
-
-      // Set background color from settings or default to light grey
-      setBackgroundColor(settings.backgroundColor || "#f9f9f9");
-
-      // Set transparency from settings or default to 70%
-      setTransparency(
-        settings.transparency !== undefined
-          ? parseInt(settings.transparency, 10)
-          : 70
-      );
+      // Load the settings document, migrating older workbooks if needed
+      applySettings(loadSettings());
+      setLoaded(true); // Start the undo history from the loaded settings
 
       // Access the Tableau dashboard to fetch available objects
       const dashboard = tableau.extensions.dashboardContent.dashboard;
@@ -127,94 +367,535 @@ const Configure = () => {
         id: obj.id, // Unique identifier for the dashboard object
         name: obj.name || `Object ${obj.id}`, // Name of the object or a fallback name
         type: obj.type, // Type of the dashboard object (e.g., worksheet, dashboard)
+        ...getObjectRect(obj), // Position and size, used by the layout map
       }));
 
       setDashboardObjects(dashboardItems); // Update the dashboardObjects state with available objects
+
+      // Store the dashboard size and the extension zone for the layout map
+      setDashboardSize({
+        width: dashboard.size.width,
+        height: dashboard.size.height,
+      });
+      setExtensionPosition(findExtensionPosition(dashboard));
+
+      // Read worksheets, fields and parameters for the step action choices
+      loadDashboardMetadataAsync(dashboard).then(setDashboardMetadata);
     });
   }, []); // Empty dependency array ensures this runs only once on mount
 
+  // Everything the author can edit, serialised for the undo history
+  const editorSnapshot = JSON.stringify({
+    tours,
+    font,
+    backgroundColor,
+    transparency,
+    tooltipMaxWidth,
+    spotlightStyle,
+    transitionStyle,
+    theme,
+    themePresets,
+    autoplayOnLoad,
+    autoplayDuration,
+    autoplayLoop,
+    autoStart,
+    localization,
+    analytics,
+    parameterSync,
+  });
+
+  /**
+   * useEffect hook to record every edit in the undo history.
+   */
+  useEffect(() => {
+    if (!loaded) return;
+    setHistory((prev) =>
+      prev
+        ? recordEdit(prev, editorSnapshot, Date.now())
+        : createEditHistory(editorSnapshot)
+    );
+  }, [loaded, editorSnapshot]); // Trigger whenever anything editable changes
+
+  /**
+   * Puts the dialog back into a state from the undo history.
+   * @param {string} snapshot - The serialised state to restore.
+   */
+  const restoreSnapshot = (snapshot) => {
+    const state = JSON.parse(snapshot);
+    const tourIndex = Math.min(
+      selectedTour,
+      Math.max(state.tours.length - 1, 0)
+    );
+    setTours(state.tours);
+    setSelectedTour(tourIndex);
+
+    // Keep only the ticks of rows that still exist in the tour being edited
+    const rowIds = (state.tours[tourIndex]?.rows || []).map((row) => row.id);
+    setCheckedRows((prev) => prev.filter((id) => rowIds.includes(id)));
+    setFont(state.font);
+    setBackgroundColor(state.backgroundColor);
+    setTransparency(state.transparency);
+    setTooltipMaxWidth(state.tooltipMaxWidth);
+    setSpotlightStyle(state.spotlightStyle);
+    setTransitionStyle(state.transitionStyle);
+    setTheme(state.theme);
+    setThemePresets(state.themePresets);
+    setAutoplayOnLoad(state.autoplayOnLoad);
+    setAutoplayDuration(state.autoplayDuration);
+    setAutoplayLoop(state.autoplayLoop);
+    setAutoStart(state.autoStart);
+    setLocalization(state.localization);
+    setAnalytics(state.analytics);
+    setParameterSync(state.parameterSync);
+  };
+
+  /**
+   * Handler to undo the last edit.
+   */
+  const handleUndo = () => {
+    if (!history || history.past.length === 0) return;
+    const previous = undoEdit(history);
+    setHistory(previous); // Points at the restored state, so restoring records nothing
+    restoreSnapshot(previous.present);
+  };
+
+  /**
+   * Handler to redo the last undone edit.
+   */
+  const handleRedo = () => {
+    if (!history || history.future.length === 0) return;
+    const next = redoEdit(history);
+    setHistory(next);
+    restoreSnapshot(next.present);
+  };
+
+  // The latest undo and redo handlers, for the keyboard shortcuts
+  const historyHandlers = useRef({});
+  historyHandlers.current = { undo: handleUndo, redo: handleRedo };
+
+  /**
+   * useEffect hook to undo with Ctrl+Z and redo with Ctrl+Y or Ctrl+Shift+Z
+   * (Cmd on a Mac). Text fields keep their own undo for typing.
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+      ) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        historyHandlers.current.undo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        historyHandlers.current.redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []); // Register the shortcuts once
+
+  // Rows of the tour currently being edited
+  const rows = tours[selectedTour]?.rows || [];
+
+  // Ticked rows of this tour, in tour order
+  const checkedIds = rows
+    .filter((row) => checkedRows.includes(row.id))
+    .map((row) => row.id);
+
+  // Row previewed on the layout map
+  const selectedStep = rows.find((row) => row.id === selectedRow) || null;
+
+  // Problems with how the extension zone is set up, once the dashboard is known
+  const setupWarnings =
+    dashboardObjects.length > 0
+      ? getSetupWarnings(
+          extensionPosition,
+          Object.fromEntries(dashboardObjects.map((obj) => [obj.id, obj])),
+          tours.flatMap((tour) =>
+            tour.rows.flatMap((row) => [
+              row.object,
+              ...row.targets.map((target) => target.object),
+            ])
+          )
+        )
+      : [];
+
+  // Steps and extra highlights whose object no longer exists, once the dashboard is known
+  const staleReferences =
+    dashboardObjects.length > 0
+      ? findStaleReferences(tours, dashboardObjects)
+      : [];
+  const repairableReferences = staleReferences.filter(
+    (reference) => reference.suggestion
+  );
+
+  // Steps that change or wait for the bound parameter, which fights the binding
+  const syncConflicts = findSyncConflicts(parameterSync.parameter, tours);
+
+  /**
+   * Handler to point missing objects at their suggested replacements.
+   * @param {Array<object>} references - Stale references from findStaleReferences,
+   *   each with a suggestion.
+   */
+  const handleRepairReferences = (references) => {
+    setTours((prev) =>
+      prev.map((tour, tourIndex) => ({
+        ...tour,
+        rows: tour.rows.map((row) =>
+          references
+            .filter(
+              (reference) =>
+                reference.tourIndex === tourIndex && reference.rowId === row.id
+            )
+            .reduce(
+              (step, reference) =>
+                replaceObject(
+                  step,
+                  reference.targetIndex,
+                  reference.suggestion
+                ),
+              row
+            )
+        ),
+      }))
+    );
+  };
+
+  /**
+   * Updates the rows of the tour currently being edited.
+   * Accepts either a new array or an updater function, like a state setter.
+   * @param {Array|Function} update - The new rows or a function of the previous rows.
+   */
+  const setRows = (update) => {
+    setTours((prev) =>
+      prev.map((tour, index) =>
+        index === selectedTour
+          ? {
+              ...tour,
+              rows: typeof update === "function" ? update(tour.rows) : update,
+            }
+          : tour
+      )
+    );
+  };
+
+  /**
+   * Updates a single property (name or description) of the tour being edited.
+   * @param {string} key - The property to update.
+   * @param {string} value - The new value.
+   */
+  const updateSelectedTour = (key, value) => {
+    setTours((prev) =>
+      prev.map((tour, index) =>
+        index === selectedTour ? { ...tour, [key]: value } : tour
+      )
+    );
+  };
+
+  /**
+   * Handler to create a new, empty tour and select it for editing.
+   */
+  const handleAddTour = () => {
+    setTours((prev) => {
+      const { steps, ...tour } = createTour(`Tour ${prev.length + 1}`);
+      return [...prev, { ...tour, rows: steps }];
+    });
+    setSelectedTour(tours.length); // Select the tour that was just added
+  };
+
+  /**
+   * Handler to duplicate the tour being edited, including all of its rows.
+   */
+  const handleDuplicateTour = () => {
+    const source = tours[selectedTour];
+    if (!source) return;
+    setTours((prev) => [
+      ...prev,
+      {
+        ...structuredClone(source), // Deep copy so edits stay independent
+        name: `${source.name} (copy)`, // Distinguish the copy from the original
+        rows: source.rows.map((row) => ({
+          ...structuredClone(row),
+          id: createStepId(), // New IDs, so analytics and parameter sync tell the copies apart
+        })),
+      },
+    ]);
+    setSelectedTour(tours.length); // Select the copy for editing
+  };
+
+  /**
+   * Handler to delete the tour being edited.
+   */
+  const handleDeleteTour = () => {
+    // Ask first, since the tour goes with all its steps at once
+    if (!deleteTourConfirmOpen) {
+      setDeleteTourConfirmOpen(true);
+      return;
+    }
+    setDeleteTourConfirmOpen(false);
+    setHistory((prev) => prev && { ...prev, changedAt: 0 }); // Undo brings back the tour alone
+    setTours((prev) => prev.filter((_, index) => index !== selectedTour));
+    setSelectedTour((prev) => Math.max(prev - 1, 0)); // Select the previous tour
+    setSelectedRow(null); // Row IDs belong to the deleted tour
+    setCheckedRows([]);
+  };
+
   /**
    * Handler to add a new row (tour item) to the list.
    */
   const handleAddRow = () => {
     setRows((prev) => [
       ...prev,
-      { id: prev.length, object: "", text: "", position: "right" }, // New row with default values
+      createStep(), // New row with default values and a new ID
     ]);
   };
 
   /**
-   * Handler to delete a specific row (tour item) by its ID.
-   * @param {number} id - The unique identifier of the row to be deleted.
+   * Handler to delete rows (tour items) by their IDs.
+   * @param {Array<string>} ids - The IDs of the rows to delete.
+   */
+  const handleDeleteRows = (ids) => {
+    setRows((prev) => deleteSteps(prev, ids));
+    setCheckedRows((prev) => prev.filter((id) => !ids.includes(id))); // Forget deleted rows
+  };
+
+  /**
+   * Handler to move rows (tour items) one place up or down together.
+   * @param {Array<string>} ids - The IDs of the rows to move.
+   * @param {number} direction - -1 to move up, 1 to move down.
    */
-  const handleDeleteRow = (id) => {
-    setRows((prev) => prev.filter((row) => row.id !== id)); // Remove the row with the matching ID
+  const handleMoveRows = (ids, direction) => {
+    setRows((prev) => moveSteps(prev, ids, direction));
   };
 
   /**
-   * Handler to move a row (tour item) up in the list.
-   * @param {number} index - The current index of the row to be moved.
+   * Handler to copy rows (tour items), each copy right below its original.
+   * @param {Array<string>} ids - The IDs of the rows to copy.
    */
-  const handleMoveUp = (index) => {
-    if (index === 0) return; // Do nothing if the row is already at the top
-    const newRows = [...rows]; // Create a shallow copy of the rows
-    // Swap the current row with the one above it
-    [newRows[index - 1], newRows[index]] = [newRows[index], newRows[index - 1]];
-    setRows(newRows); // Update the rows state with the new order
+  const handleDuplicateRows = (ids) => {
+    setRows((prev) => duplicateSteps(prev, ids));
   };
 
   /**
-   * Handler to move a row (tour item) down in the list.
-   * @param {number} index - The current index of the row to be moved.
+   * Handler to tick or untick a row for moving, duplicating or deleting together.
+   * @param {string} id - The ID of the row.
+   * @param {boolean} checked - Whether the row is ticked.
    */
-  const handleMoveDown = (index) => {
-    if (index === rows.length - 1) return; // Do nothing if the row is already at the bottom
-    const newRows = [...rows]; // Create a shallow copy of the rows
-    // Swap the current row with the one below it
-    [newRows[index], newRows[index + 1]] = [newRows[index + 1], newRows[index]];
-    setRows(newRows); // Update the rows state with the new order
+  const handleCheckRow = (id, checked) => {
+    setCheckedRows((prev) =>
+      checked ? [...prev, id] : prev.filter((rowId) => rowId !== id)
+    );
   };
 
+  /**
+   * Handler to start dragging a row by its handle. A ticked row takes the
+   * other ticked rows along.
+   * @param {object} e - The drag event.
+   * @param {string} id - The ID of the row being dragged.
+   */
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", id); // Firefox only drags with data set
+    e.dataTransfer.setDragImage(e.currentTarget.closest("[data-row]"), 0, 0); // Show the whole row
+    setDrag({
+      ids: checkedIds.includes(id) ? checkedIds : [id],
+      beforeIndex: null,
+    });
+  };
+
+  /**
+   * Handler to show where dragged rows would be dropped: in front of the row
+   * under the pointer, or after it when over its lower half.
+   * @param {object} e - The drag event.
+   * @param {number} index - The index of the row under the pointer.
+   */
+  const handleDragOver = (e, index) => {
+    if (!drag) return;
+    e.preventDefault(); // Allow dropping here
+    const rect = e.currentTarget.getBoundingClientRect();
+    const beforeIndex =
+      e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+    if (beforeIndex !== drag.beforeIndex) setDrag({ ...drag, beforeIndex });
+  };
+
+  /**
+   * Handler to drop the dragged rows where the indicator shows.
+   * @param {object} e - The drop event.
+   */
+  const handleDrop = (e) => {
+    if (!drag || drag.beforeIndex === null) return;
+    e.preventDefault();
+    setRows((prev) => moveStepsTo(prev, drag.ids, drag.beforeIndex));
+    setDrag(null);
+  };
+
+  // CSS font-family of the previews, with its fallback chain
+  const fontFamily = getFontFamily(validateFont(font));
+
+  // The settings document that Save writes, rebuilt from the dialog state;
+  // object names are recorded so missing objects can be found again later
+  const settingsDocument = recordObjectNames(
+    {
+      version: SETTINGS_VERSION,
+      general: {
+        font: validateFont(font), // Empty fields fall back to the defaults
+        backgroundColor,
+        transparency,
+        tooltipMaxWidth,
+        spotlight: spotlightStyle,
+        transition: validateTransition(
+          transitionStyle,
+          createDefaultTransition()
+        ), // The duration may still be typed text
+        theme: validateTheme(theme), // Numbers may still be typed text
+        themePresets,
+        autoplay: {
+          playOnLoad: autoplayOnLoad,
+          defaultDuration: autoplayDuration,
+          loop: autoplayLoop,
+        },
+        localization: validateLocalization(localization), // Drops empty control text
+        autoStart,
+        analytics: validateAnalytics(analytics), // Drops an invalid endpoint
+        parameterSync,
+      },
+      tours: tours.map((tour) => ({
+        name: tour.name,
+        description: tour.description,
+        translations: tour.translations,
+        version: Number(tour.version) || 1,
+        steps: tour.rows,
+      })),
+    },
+    dashboardObjects
+  );
+
+  // Size of the saved settings, so authors are warned before hitting Tableau's limit
+  const settingsSize = getSettingsSize(settingsDocument);
+  const settingsTooLarge = settingsSize > SETTINGS_SIZE_LIMIT;
+  const settingsNearLimit =
+    settingsSize > SETTINGS_SIZE_LIMIT * SETTINGS_SIZE_WARNING;
+
   /**
    * Handler to save the current configuration settings to Tableau.
-   * It saves font, background color, transparency, and all tour items.
+   * It saves font, background color, transparency, and all tours as one document.
    */
   const handleSave = () => {
-    const tableau = window.tableau; // Access the Tableau Extensions API
+    setSaveError("");
 
-    // Retrieve all existing settings
-    const existingSettings = tableau.extensions.settings.getAll();
+    // Persist the settings asynchronously and close the dialog upon success;
+    // on failure the dialog stays open so nothing is lost
+    Promise.resolve()
+      .then(() => saveSettingsAsync(settingsDocument))
+      .then(() => {
+        window.tableau.extensions.ui.closeDialog("Settings saved successfully");
+      })
+      .catch((error) => {
+        console.error("Error saving tour settings:", error);
+        setSaveError(error?.message || String(error));
+      });
+  };
 
-    // Remove all existing settings to prepare for new ones
-    Object.keys(existingSettings).forEach((key) => {
-      tableau.extensions.settings.erase(key);
+  /**
+   * Handler to download the configuration as a JSON file.
+   */
+  const handleExport = () => {
+    const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+    exportTourFile(settingsDocument, dashboardObjects, dashboard.name);
+  };
+
+  /**
+   * Handler for the file chosen to import; shows the dry-run report first.
+   * @param {object} e - The change event of the file input.
+   */
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow the same file to be chosen again
+    if (!file) return;
+
+    file.text().then((text) => {
+      try {
+        setImportPlan(planImport(text, dashboardObjects));
+      } catch (error) {
+        setImportError(error.message);
+      }
     });
+  };
 
-    // Save the selected font, background color, and transparency
-    tableau.extensions.settings.set("selectedFont", selectedFont);
-    tableau.extensions.settings.set("backgroundColor", backgroundColor);
-    tableau.extensions.settings.set("transparency", transparency.toString());
+  /**
+   * Handler to replace the configuration with the imported one.
+   */
+  const handleApplyImport = () => {
+    applySettings(importPlan.settings);
+    handleCloseImport();
+  };
 
-    // Save the number of tour items (rows)
-    tableau.extensions.settings.set("rowCount", rows.length.toString());
+  /**
+   * Handler to close the import report without changing anything.
+   */
+  const handleCloseImport = () => {
+    setImportPlan(null);
+    setImportError("");
+  };
 
-    // Save each tour item's object, text, and position
-    rows.forEach((row, index) => {
-      tableau.extensions.settings.set(`tour${index}_object`, row.object);
-      tableau.extensions.settings.set(`tour${index}_text`, row.text);
-      tableau.extensions.settings.set(`tour${index}_position`, row.position);
-    });
+  /**
+   * Handler to download every translatable string as a CSV translation table.
+   */
+  const handleExportTranslations = () => {
+    const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+    exportTranslationTable(settingsDocument, dashboard.name);
+  };
+
+  /**
+   * Handler for the translation table chosen to import; shows what it contains first.
+   * @param {object} e - The change event of the file input.
+   */
+  const handleImportTranslationsFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow the same file to be chosen again
+    if (!file) return;
 
-    // Persist the settings asynchronously and close the dialog upon success
-    tableau.extensions.settings.saveAsync().then(() => {
-      tableau.extensions.ui.closeDialog("Settings saved successfully");
+    file.text().then((text) => {
+      try {
+        setTranslationImport(importTranslationTable(text, settingsDocument));
+      } catch (error) {
+        setTranslationError(error.message);
+      }
     });
   };
 
+  /**
+   * Handler to apply the imported translations to the dialog.
+   */
+  const handleApplyTranslations = () => {
+    applySettings(translationImport.settings);
+    handleCloseTranslations();
+  };
+
+  /**
+   * Handler to close the translation import without changing anything.
+   */
+  const handleCloseTranslations = () => {
+    setTranslationImport(null);
+    setTranslationError("");
+  };
+
   /**
    * Handler to cancel the configuration and close the dialog without saving.
    */
   const handleCancel = () => {
+    // Ask first rather than silently losing unsaved changes
+    if (hasUnsavedEdits(history) && !cancelConfirmOpen) {
+      setCancelConfirmOpen(true);
+      return;
+    }
     const tableau = window.tableau; // Access the Tableau Extensions API
     tableau.extensions.ui.closeDialog("Cancelled"); // Close the dialog with a cancellation message
   };
@@ -263,24 +944,7 @@ const Configure = () => {
         <Typography variant="subtitle1" sx={{ mb: 1 }}>
           Select Text Font
         </Typography>
-        <Select
-          value={selectedFont}
-          onChange={(e) => setSelectedFont(e.target.value)}
-          fullWidth
-          sx={{
-            height: "40px", // Set a consistent height for the dropdown
-            mb: 1, // Margin bottom for spacing
-          }}
-        >
-          <MenuItem value="" disabled>
-            Select Font {/* Placeholder option */}
-          </MenuItem>
-          {googleFonts.map((font) => (
-            <MenuItem key={font} value={font}>
-              {font} {/* Render each font as a selectable option */}
-            </MenuItem>
-          ))}
-        </Select>
+        <FontPicker value={font} onChange={setFont} />
 
         {/* Typography for Background Color Selection */}
         <Typography variant="subtitle1" sx={{ mb: 1 }}>
@@ -359,123 +1023,878 @@ const Configure = () => {
             </Box>
           </Box>
         </Box>
+
+        {/* Tooltip Settings */}
+        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+          Tooltip
+        </Typography>
+        <TextField
+          label="Maximum width (px)"
+          type="number"
+          value={tooltipMaxWidth}
+          onChange={(e) => setTooltipMaxWidth(e.target.value)}
+          InputProps={{ inputProps: { min: 150, max: 1000 } }}
+          sx={{ width: "150px", mb: 4 }}
+          helperText="Narrower on small dashboards"
+        />
+
+        {/* Spotlight Settings, Which Each Step Can Override */}
+        <Typography variant="subtitle1">Spotlight</Typography>
+        <Box sx={{ mb: 4 }}>
+          <SpotlightEditor
+            value={spotlightStyle}
+            onChange={setSpotlightStyle}
+          />
+        </Box>
+
+        {/* Transition Between Steps, Which Each Step Can Override */}
+        <Typography variant="subtitle1">Transitions</Typography>
+        <Box sx={{ mb: 4 }}>
+          <TransitionEditor
+            value={transitionStyle}
+            onChange={setTransitionStyle}
+          />
+        </Box>
+
+        {/* Colors and Sizes of the Tooltip, Navigation and Indicators */}
+        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+          Theme
+        </Typography>
+        <Box sx={{ mb: 4 }}>
+          <ThemeEditor
+            value={theme}
+            onChange={setTheme}
+            presets={themePresets}
+            onPresetsChange={setThemePresets}
+            backgroundColor={backgroundColor}
+            transparency={transparency}
+            onApplyPreset={(preset) => {
+              setTheme(preset.theme);
+              setBackgroundColor(preset.backgroundColor);
+              setTransparency(preset.transparency);
+            }} // Presets also set the overlay they are designed for
+            fontFamily={fontFamily}
+          />
+        </Box>
+
+        {/* When the Tour Opens by Itself */}
+        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+          Open the Tour Automatically
+        </Typography>
+        <Select
+          value={autoStart}
+          onChange={(e) => setAutoStart(e.target.value)}
+          sx={{ height: "40px", width: "300px", mb: 4 }}
+        >
+          {AUTO_START_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+
+        {/* Presentation Mode Settings */}
+        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+          Presentation Mode
+        </Typography>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+          {/* Default Number of Seconds per Step */}
+          <TextField
+            label="Seconds per step"
+            type="number"
+            value={autoplayDuration}
+            onChange={(e) => setAutoplayDuration(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+            sx={{ width: "150px" }}
+            helperText="Default for all steps"
+          />
+
+          {/* Checkbox to Start Playing When the Dashboard Loads */}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={autoplayOnLoad}
+                onChange={(e) => setAutoplayOnLoad(e.target.checked)}
+              />
+            }
+            label="Play automatically on load"
+          />
+
+          {/* Checkbox to Start Over After the Last Step */}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={autoplayLoop}
+                onChange={(e) => setAutoplayLoop(e.target.checked)}
+              />
+            }
+            label="Loop"
+          />
+        </Box>
+
+        {/* Where the Tour Sends Its Analytics Events */}
+        <Typography variant="subtitle1" sx={{ mt: 4, mb: 1 }}>
+          Analytics
+        </Typography>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+          {/* Checkbox to Count Events for the Summary */}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={analytics.summary}
+                onChange={(e) =>
+                  setAnalytics({ ...analytics, summary: e.target.checked })
+                }
+              />
+            }
+            label="Keep a summary in each browser"
+          />
+
+          {/* Checkbox to Log Events for Debugging */}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={analytics.console}
+                onChange={(e) =>
+                  setAnalytics({ ...analytics, console: e.target.checked })
+                }
+              />
+            }
+            label="Log to the browser console"
+          />
+
+          {/* Button to Show the Summary Kept in This Browser */}
+          <Button
+            variant="text"
+            startIcon={<InsightsIcon />}
+            onClick={() => setAnalyticsOpen(true)}
+          >
+            View Summary
+          </Button>
+        </Box>
+
+        {/* URL That Receives Every Event */}
+        <TextField
+          label="Send events to (URL)"
+          value={analytics.endpoint}
+          placeholder="e.g. https://analytics.example.com/tour-events"
+          onChange={(e) =>
+            setAnalytics({ ...analytics, endpoint: e.target.value })
+          }
+          error={
+            Boolean(analytics.endpoint.trim()) &&
+            !validateAnalytics(analytics).endpoint
+          }
+          InputLabelProps={{ shrink: true }}
+          fullWidth
+          sx={{ mt: 1 }}
+          helperText="Each event is sent as a JSON POST request. Leave empty to send nothing."
+        />
+
+        {/* Parameter That Follows the Tour and Moves It */}
+        <Typography variant="subtitle1" sx={{ mt: 4, mb: 1 }}>
+          Parameter Sync
+        </Typography>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+          {/* Dropdown to Select the Bound Parameter */}
+          <Select
+            value={parameterSync.parameter}
+            onChange={(e) =>
+              setParameterSync({ ...parameterSync, parameter: e.target.value })
+            }
+            displayEmpty
+            inputProps={{ "aria-label": "Parameter" }}
+            sx={{ height: "40px", width: "240px" }}
+          >
+            <MenuItem value="">No parameter</MenuItem>
+            {parameterSync.parameter &&
+              !dashboardMetadata.parameters.some(
+                (parameter) => parameter.name === parameterSync.parameter
+              ) && (
+                <MenuItem value={parameterSync.parameter}>
+                  {parameterSync.parameter} (not found){" "}
+                  {/* Keeps a saved parameter visible while metadata loads or after it was removed */}
+                </MenuItem>
+              )}
+            {dashboardMetadata.parameters.map((parameter) => (
+              <MenuItem key={parameter.name} value={parameter.name}>
+                {parameter.name}
+              </MenuItem>
+            ))}
+          </Select>
+
+          {/* Dropdown to Select What the Parameter Follows */}
+          <Select
+            value={parameterSync.target}
+            onChange={(e) =>
+              setParameterSync({ ...parameterSync, target: e.target.value })
+            }
+            disabled={!parameterSync.parameter}
+            inputProps={{ "aria-label": "Parameter follows" }}
+            sx={{ height: "40px", width: "180px" }}
+          >
+            {SYNC_TARGETS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+
+          {/* Dropdown to Select How a Step Is Written to the Parameter */}
+          {parameterSync.target === "step" && (
+            <Select
+              value={parameterSync.stepValue}
+              onChange={(e) =>
+                setParameterSync({
+                  ...parameterSync,
+                  stepValue: e.target.value,
+                })
+              }
+              disabled={!parameterSync.parameter}
+              inputProps={{ "aria-label": "Step value" }}
+              sx={{ height: "40px", width: "180px" }}
+            >
+              {SYNC_STEP_VALUES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          )}
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          The tour sets the parameter as it moves, and jumps to the step or
+          starts the tour the parameter names when it changes. While the tour is
+          closed the parameter is empty
+          {parameterSync.target === "step" &&
+          parameterSync.stepValue === "number"
+            ? " (0)"
+            : ""}
+          ; setting it to that value closes the tour.
+        </Typography>
+
+        {/* Steps That Fight the Binding Over the Same Parameter */}
+        {syncConflicts.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Bind another parameter, or change these steps, since they use the
+            bound parameter too and would move the tour on their own:
+            {syncConflicts.map((conflict) => (
+              <div key={conflict}>{conflict}</div>
+            ))}
+          </Alert>
+        )}
+
+        {/* Languages and the Text of the Tour's Own Controls */}
+        <Typography variant="subtitle1" sx={{ mt: 4, mb: 1 }}>
+          Languages
+        </Typography>
+        <LanguagesEditor value={localization} onChange={setLocalization} />
       </TabPanel>
 
       {/* Tour Items Tab Content */}
       <TabPanel value={tabValue} index={1}>
+        {/* Tour Management: choose, rename, describe, add, duplicate, delete */}
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+          <Select
+            value={tours.length > 0 ? selectedTour : ""}
+            onChange={(e) => {
+              setSelectedTour(e.target.value);
+              setSelectedRow(null); // Row IDs belong to the previous tour
+              setCheckedRows([]);
+            }}
+            sx={{ height: "40px", width: "200px" }} // Match the row height
+            displayEmpty // Display placeholder when there are no tours
+          >
+            <MenuItem value="" disabled>
+              No Tours {/* Placeholder option */}
+            </MenuItem>
+            {tours.map((tour, index) => (
+              <MenuItem key={index} value={index}>
+                {tour.name || `Tour ${index + 1}`}
+              </MenuItem>
+            ))}
+          </Select>
+
+          {/* Text Field to Rename the Selected Tour */}
+          <TextField
+            label="Tour Name"
+            value={tours[selectedTour]?.name || ""}
+            onChange={(e) => updateSelectedTour("name", e.target.value)}
+            disabled={tours.length === 0}
+            size="small"
+            sx={{ flex: 1 }}
+          />
+
+          {/* Content Version; Viewers See the Tour Again When It Increases */}
+          <TextField
+            label="Version"
+            type="number"
+            value={tours[selectedTour]?.version ?? ""}
+            onChange={(e) => updateSelectedTour("version", e.target.value)}
+            disabled={tours.length === 0}
+            size="small"
+            InputProps={{ inputProps: { min: 1 } }}
+            title="Increase to show the tour again to viewers who have seen it"
+            sx={{ width: "90px" }}
+          />
+
+          {/* Button to Add a New Tour */}
+          <Button
+            variant="outlined"
+            startIcon={<AddIcon />}
+            onClick={handleAddTour}
+          >
+            New Tour
+          </Button>
+
+          {/* Button to Duplicate the Selected Tour */}
+          <IconButton
+            color="primary"
+            onClick={handleDuplicateTour}
+            disabled={tours.length === 0}
+            aria-label="Duplicate tour"
+          >
+            <ContentCopyIcon />
+          </IconButton>
+
+          {/* Button to Delete the Selected Tour */}
+          <IconButton
+            color="error"
+            onClick={handleDeleteTour}
+            disabled={tours.length === 0}
+            aria-label="Delete tour"
+          >
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+
+        {/* Text Field for the Optional Tour Description */}
+        <TextField
+          label="Tour Description (optional)"
+          value={tours[selectedTour]?.description || ""}
+          onChange={(e) => updateSelectedTour("description", e.target.value)}
+          disabled={tours.length === 0}
+          size="small"
+          fullWidth
+          sx={{ mb: 2 }}
+        />
+
+        {/* Tour Name and Description in the Other Languages */}
+        {tours[selectedTour] && (
+          <Box sx={{ mb: 2 }}>
+            <TranslationsEditor
+              value={tours[selectedTour].translations}
+              onChange={(translations) =>
+                updateSelectedTour("translations", translations)
+              }
+              languages={localization.languages}
+              defaultLanguage={localization.defaultLanguage}
+              fields={[
+                { key: "name", label: "Tour Name" },
+                { key: "description", label: "Tour Description" },
+              ]}
+              source={tours[selectedTour]}
+            />
+          </Box>
+        )}
+
+        {/* Layout Map for Picking Objects and Previewing the Selected Row */}
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          {selectedStep
+            ? `Click an object to use it for step ${
+                rows.indexOf(selectedStep) + 1
+              }, or drag to highlight an area as well.`
+            : "Select a row to preview it and pick its object on the map."}
+        </Typography>
+
+        {/* Steps Pointing at Objects That No Longer Exist, in Any Tour */}
+        {staleReferences.length > 0 && (
+          <Alert
+            severity="error"
+            sx={{ mb: 1 }}
+            action={
+              repairableReferences.length > 0 && (
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => handleRepairReferences(repairableReferences)}
+                >
+                  Repair All
+                </Button>
+              )
+            }
+          >
+            {staleReferences.length} step object(s) or highlight(s) no longer
+            exist in the dashboard.{" "}
+            {repairableReferences.length > 0
+              ? `${repairableReferences.length} can be repaired with an object of the same name and type.`
+              : "Pick a new object for each of them."}
+            {staleReferences.map((reference) => (
+              <div
+                key={`${reference.tourIndex}-${reference.rowId}-${reference.targetIndex}`}
+              >
+                {reference.tourName}, step {reference.stepNumber}
+                {reference.targetIndex === -1
+                  ? ""
+                  : ` (highlight ${reference.targetIndex + 1})`}
+                : {reference.objectName || `object ${reference.objectId}`}
+                {reference.suggestion
+                  ? ` → ${reference.suggestion.name}`
+                  : " (no match)"}
+              </div>
+            ))}
+          </Alert>
+        )}
+
+        {/* Problems With the Extension Zone That Would Break the Tour */}
+        {setupWarnings.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 1 }}>
+            {setupWarnings.map((warning) => (
+              <div key={warning}>{warning}</div>
+            ))}
+          </Alert>
+        )}
+        <LayoutMap
+          objects={dashboardObjects}
+          dashboardSize={dashboardSize}
+          extensionPosition={extensionPosition}
+          step={selectedStep}
+          onSelectObject={(objectId) =>
+            setRows((prev) =>
+              prev.map((r) =>
+                r.id === selectedRow ? { ...r, object: objectId } : r
+              )
+            )
+          }
+          onDrawRegion={(region) =>
+            setRows((prev) =>
+              prev.map((r) =>
+                r.id === selectedRow
+                  ? { ...r, targets: [...r.targets, { object: "", region }] }
+                  : r
+              )
+            )
+          }
+          width={820} // Fit the map inside the dialog
+          backgroundColor={backgroundColor}
+          transparency={transparency}
+          fontFamily={fontFamily}
+          spotlight={
+            selectedStep &&
+            validateSpotlight(
+              resolveSpotlight(spotlightStyle, selectedStep.spotlight),
+              createDefaultSpotlight()
+            )
+          }
+          tooltipMaxWidth={Number(tooltipMaxWidth) || DEFAULT_TEXT_BOX_WIDTH}
+          theme={validateTheme(theme)}
+        />
+
+        {/* Actions on All Ticked Rows at Once */}
+        {rows.length > 0 && (
+          <Box
+            sx={{
+              display: "flex", // Lay the actions out in one line
+              alignItems: "center", // Vertically center the actions
+              gap: 1, // Space between actions
+              mt: 2, // Separate the actions from the layout map
+              mb: 1, // Separate the actions from the rows
+            }}
+          >
+            <Checkbox
+              checked={checkedIds.length === rows.length}
+              indeterminate={
+                checkedIds.length > 0 && checkedIds.length < rows.length
+              }
+              onChange={(e) =>
+                setCheckedRows(
+                  e.target.checked ? rows.map((row) => row.id) : []
+                )
+              }
+              inputProps={{ "aria-label": "Select all rows" }}
+            />
+            <Typography variant="body2" sx={{ mr: 1 }}>
+              {checkedIds.length > 0
+                ? `${checkedIds.length} selected`
+                : "Tick rows to edit several at once, or drag a row by its handle."}
+            </Typography>
+            {checkedIds.length > 0 && (
+              <>
+                <Button
+                  size="small"
+                  startIcon={<ArrowUpwardIcon />}
+                  onClick={() => handleMoveRows(checkedIds, -1)}
+                >
+                  Move Up
+                </Button>
+                <Button
+                  size="small"
+                  startIcon={<ArrowDownwardIcon />}
+                  onClick={() => handleMoveRows(checkedIds, 1)}
+                >
+                  Move Down
+                </Button>
+                <Button
+                  size="small"
+                  startIcon={<ContentCopyIcon />}
+                  onClick={() => handleDuplicateRows(checkedIds)}
+                >
+                  Duplicate
+                </Button>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={() => handleDeleteRows(checkedIds)}
+                >
+                  Delete
+                </Button>
+              </>
+            )}
+          </Box>
+        )}
+
         {rows.map((row, index) => (
           <Box
             key={row.id} // Unique key for each row
+            data-row // Marks the row as the drag image of its handle
+            onClick={() => setSelectedRow(row.id)} // Select the row for the layout map
+            onFocus={() => setSelectedRow(row.id)} // Likewise when tabbing into the row
+            onDragOver={(e) => handleDragOver(e, index)} // Show where dragged rows would land
+            onDrop={handleDrop} // Move the dragged rows here
             sx={{
-              display: "flex", // Enable flexbox for the row
-              alignItems: "center", // Vertically center items within the row
               mb: 2, // Margin bottom for spacing between rows
-              p: 0, // No padding
-              height: "40px", // Fixed height for consistency
+              p: 1, // Padding inside the row card
+              border: "1px solid", // Border to group the row's fields
+              borderColor: row.id === selectedRow ? "primary.main" : "#ddd", // Highlight the selected row
               borderRadius: "4px", // Rounded corners
+              opacity: drag?.ids.includes(row.id) ? 0.5 : 1, // Dim the rows being dragged
+              boxShadow:
+                drag?.beforeIndex === index
+                  ? "0 -3px 0 0 #1976d2" // Drop indicator above the row
+                  : drag?.beforeIndex === index + 1 && index === rows.length - 1
+                  ? "0 3px 0 0 #1976d2" // Drop indicator below the last row
+                  : "none",
             }}
           >
-            {/* Dropdown to Select Dashboard Object */}
-            <Select
-              value={row.object}
-              onChange={(e) =>
-                setRows((prev) =>
-                  prev.map((r) =>
-                    r.id === row.id ? { ...r, object: e.target.value } : r
-                  )
-                )
-              }
-              sx={{ mr: 2, height: "100%", width: "150px" }} // Set width and height to fill the row
-              displayEmpty // Display placeholder when no option is selected
+            <Box
+              sx={{
+                display: "flex", // Enable flexbox for the header line
+                alignItems: "center", // Vertically center items within the line
+                mb: 1, // Margin bottom to separate it from the editor
+                height: "40px", // Fixed height for consistency
+              }}
             >
-              <MenuItem value="" disabled>
-                Select Object {/* Placeholder option */}
-              </MenuItem>
-              {dashboardObjects.map((object) => (
-                <MenuItem key={object.id} value={object.id}>
-                  {object.name} ({object.type}){" "}
-                  {/* Display object name and type */}
+              {/* Handle to Drag the Row, or All Ticked Rows, to a New Position */}
+              <Box
+                draggable
+                onDragStart={(e) => handleDragStart(e, row.id)}
+                onDragEnd={() => setDrag(null)} // Also clears a drop outside the rows
+                aria-hidden // The arrow buttons do the same from the keyboard
+                sx={{ display: "flex", cursor: "grab", color: "#888" }}
+              >
+                <DragIndicatorIcon />
+              </Box>
+
+              {/* Checkbox to Tick the Row for Actions on Several Rows */}
+              <Checkbox
+                checked={checkedIds.includes(row.id)}
+                onChange={(e) => handleCheckRow(row.id, e.target.checked)}
+                inputProps={{ "aria-label": `Select step ${index + 1}` }}
+                sx={{ mr: 1 }}
+              />
+
+              {/* Dropdown to Select Dashboard Object */}
+              <Select
+                value={row.object}
+                onChange={(e) =>
+                  setRows((prev) =>
+                    prev.map((r) =>
+                      r.id === row.id ? { ...r, object: e.target.value } : r
+                    )
+                  )
+                }
+                sx={{ mr: 2, height: "100%", width: "150px" }} // Set width and height to fill the row
+                displayEmpty // Display placeholder when no option is selected
+              >
+                <MenuItem value="" disabled>
+                  Select Object {/* Placeholder option */}
                 </MenuItem>
+                {row.object &&
+                  dashboardObjects.length > 0 &&
+                  !dashboardObjects.some(
+                    (object) => String(object.id) === String(row.object)
+                  ) && (
+                    <MenuItem value={row.object} disabled>
+                      Missing: {row.objectName || `object ${row.object}`}{" "}
+                      {/* Keeps the saved object visible until it is repaired */}
+                    </MenuItem>
+                  )}
+                {dashboardObjects.map((object) => (
+                  <MenuItem key={object.id} value={object.id}>
+                    {object.name} ({object.type}){" "}
+                    {/* Display object name and type */}
+                  </MenuItem>
+                ))}
+              </Select>
+
+              {/* Text Field to Enter Tour Item Title */}
+              <TextField
+                label="Title" // Label for the title input
+                value={row.title} // Current title value
+                onChange={(e) =>
+                  setRows((prev) =>
+                    prev.map((r) =>
+                      r.id === row.id ? { ...r, title: e.target.value } : r
+                    )
+                  )
+                }
+                variant="outlined" // Outlined variant for better visibility
+                sx={{
+                  flex: 2, // Allow the title field to grow and take up available space
+                  mr: 2, // Margin right for spacing
+                  height: "100%", // Fill the row's height
+                  "& .MuiOutlinedInput-root": {
+                    height: "100%", // Ensure the input fills the height
+                    display: "flex", // Enable flexbox for the input
+                    alignItems: "center", // Vertically center the text within the input
+                  },
+                }}
+              />
+
+              {/* Dropdown to Select Position of the Preview Text */}
+              <Select
+                value={row.position}
+                onChange={(e) =>
+                  setRows((prev) =>
+                    prev.map((r) =>
+                      r.id === row.id ? { ...r, position: e.target.value } : r
+                    )
+                  )
+                }
+                sx={{ mr: 2, height: "100%", width: "100px" }} // Set width and height to fill the row
+                displayEmpty // Display placeholder when no option is selected
+              >
+                <MenuItem value="auto">Auto</MenuItem>
+                <MenuItem value="left">Left</MenuItem>
+                <MenuItem value="right">Right</MenuItem>
+                <MenuItem value="top">Top</MenuItem>
+                <MenuItem value="bottom">Bottom</MenuItem>
+              </Select>
+
+              {/* Text Field for the Step's Duration in Presentation Mode */}
+              <TextField
+                label="Seconds" // Label for the duration input
+                type="number"
+                value={row.duration} // Empty uses the default duration
+                placeholder={String(autoplayDuration)}
+                onChange={(e) =>
+                  setRows((prev) =>
+                    prev.map((r) =>
+                      r.id === row.id ? { ...r, duration: e.target.value } : r
+                    )
+                  )
+                }
+                InputLabelProps={{ shrink: true }} // Keep the label clear of the placeholder
+                InputProps={{ inputProps: { min: 1 } }}
+                sx={{
+                  mr: 2, // Margin right for spacing
+                  width: "90px", // Narrow field for a short number
+                  height: "100%", // Fill the row's height
+                  "& .MuiOutlinedInput-root": { height: "100%" }, // Ensure the input fills the height
+                }}
+              />
+
+              {/* Action Buttons: Move Up, Move Down, Duplicate, Delete */}
+              <Box sx={{ display: "flex" }}>
+                {/* Move Up Button */}
+                <IconButton
+                  color="primary"
+                  onClick={() => handleMoveRows([row.id], -1)} // Handler to move the row up
+                  disabled={index === 0} // Disable if the row is already at the top
+                >
+                  <ArrowUpwardIcon /> {/* Upward arrow icon */}
+                </IconButton>
+
+                {/* Move Down Button */}
+                <IconButton
+                  color="primary"
+                  onClick={() => handleMoveRows([row.id], 1)} // Handler to move the row down
+                  disabled={index === rows.length - 1} // Disable if the row is already at the bottom
+                >
+                  <ArrowDownwardIcon /> {/* Downward arrow icon */}
+                </IconButton>
+
+                {/* Duplicate Button */}
+                <IconButton
+                  color="primary"
+                  onClick={() => handleDuplicateRows([row.id])} // Handler to copy the row below itself
+                  aria-label="Duplicate step"
+                >
+                  <ContentCopyIcon /> {/* Copy icon */}
+                </IconButton>
+
+                {/* Delete Button */}
+                <IconButton
+                  color="error"
+                  onClick={() => handleDeleteRows([row.id])} // Handler to delete the row
+                >
+                  <DeleteIcon /> {/* Delete (trash can) icon */}
+                </IconButton>
+              </Box>
+            </Box>
+
+            {/* Missing Objects of This Step, With the Suggested Replacement */}
+            {staleReferences
+              .filter(
+                (reference) =>
+                  reference.tourIndex === selectedTour &&
+                  reference.rowId === row.id
+              )
+              .map((reference) => (
+                <Alert
+                  key={reference.targetIndex}
+                  severity="error"
+                  sx={{ mb: 1 }}
+                  action={
+                    reference.suggestion && (
+                      <Button
+                        color="inherit"
+                        size="small"
+                        onClick={() => handleRepairReferences([reference])}
+                      >
+                        Use {reference.suggestion.name}
+                      </Button>
+                    )
+                  }
+                >
+                  {reference.targetIndex === -1
+                    ? "The object of this step"
+                    : `The object of highlight ${
+                        reference.targetIndex + 1
+                      }`}{" "}
+                  ({reference.objectName || `ID ${reference.objectId}`}) no
+                  longer exists in the dashboard, so{" "}
+                  {reference.targetIndex === -1
+                    ? "the step is skipped."
+                    : "the highlight is not drawn."}
+                  {reference.suggestion
+                    ? ""
+                    : " No object with the same name and type was found."}
+                </Alert>
               ))}
-            </Select>
 
-            {/* Text Field to Enter Tour Item Text */}
-            <TextField
-              label="Text" // Label for the text input
-              value={row.text} // Current text value
-              onChange={(e) =>
+            {/* Multi-line Markdown Editor with Live Preview for the Body */}
+            <RichTextEditor
+              value={row.text}
+              onChange={(text) =>
                 setRows((prev) =>
-                  prev.map((r) =>
-                    r.id === row.id ? { ...r, text: e.target.value } : r
-                  )
+                  prev.map((r) => (r.id === row.id ? { ...r, text } : r))
                 )
               }
-              variant="outlined" // Outlined variant for better visibility
-              sx={{
-                flex: 2, // Allow the text field to grow and take up available space
-                mr: 2, // Margin right for spacing
-                height: "100%", // Fill the row's height
-                "& .MuiOutlinedInput-root": {
-                  height: "100%", // Ensure the input fills the height
-                  display: "flex", // Enable flexbox for the input
-                  alignItems: "center", // Vertically center the text within the input
-                },
-              }}
+              fontFamily={fontFamily}
             />
 
-            {/* Dropdown to Select Position of the Preview Text */}
-            <Select
-              value={row.position}
-              onChange={(e) =>
+            {/* Title, Body and Hint in the Other Languages */}
+            <TranslationsEditor
+              value={row.translations}
+              onChange={(translations) =>
                 setRows((prev) =>
                   prev.map((r) =>
-                    r.id === row.id ? { ...r, position: e.target.value } : r
+                    r.id === row.id ? { ...r, translations } : r
                   )
                 )
               }
-              sx={{ mr: 2, height: "100%", width: "100px" }} // Set width and height to fill the row
-              displayEmpty // Display placeholder when no option is selected
-            >
-              <MenuItem value="left">Left</MenuItem>
-              <MenuItem value="right">Right</MenuItem>
-              <MenuItem value="top">Top</MenuItem>
-              <MenuItem value="bottom">Bottom</MenuItem>
-            </Select>
+              languages={localization.languages}
+              defaultLanguage={localization.defaultLanguage}
+              fields={[
+                { key: "title", label: "Title" },
+                { key: "text", label: "Body (Markdown)", multiline: true },
+                ...(row.type === "interactive"
+                  ? [{ key: "hint", label: "Hint" }]
+                  : []),
+              ]}
+              source={row}
+            />
 
-            {/* Action Buttons: Move Up, Move Down, Delete */}
-            <Box>
-              {/* Move Up Button */}
-              <IconButton
-                color="primary"
-                onClick={() => handleMoveUp(index)} // Handler to move the row up
-                disabled={index === 0} // Disable if the row is already at the top
-              >
-                <ArrowUpwardIcon /> {/* Upward arrow icon */}
-              </IconButton>
-
-              {/* Move Down Button */}
-              <IconButton
-                color="primary"
-                onClick={() => handleMoveDown(index)} // Handler to move the row down
-                disabled={index === rows.length - 1} // Disable if the row is already at the bottom
-              >
-                <ArrowDownwardIcon /> {/* Downward arrow icon */}
-              </IconButton>
+            {/* Dashboard Actions Run When the Step Becomes Active */}
+            <StepActionsEditor
+              actions={row.actions}
+              onChange={(actions) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, actions } : r))
+                )
+              }
+              metadata={dashboardMetadata}
+            />
 
-              {/* Delete Button */}
-              <IconButton
-                color="error"
-                onClick={() => handleDeleteRow(row.id)} // Handler to delete the row
-              >
-                <DeleteIcon /> {/* Delete (trash can) icon */}
-              </IconButton>
-            </Box>
+            {/* Step Type: Passive Reading or Waiting for a Viewer Action */}
+            <InteractiveStepEditor
+              type={row.type}
+              waitFor={row.waitFor}
+              hint={row.hint}
+              onChange={(changes) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, ...changes } : r))
+                )
+              }
+              metadata={dashboardMetadata}
+            />
+
+            {/* Region Within the Object and Extra Highlights */}
+            <TargetsEditor
+              region={row.region}
+              targets={row.targets}
+              objects={dashboardObjects}
+              onChange={(changes) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, ...changes } : r))
+                )
+              }
+            />
+
+            {/* Spotlight Overrides for This Step */}
+            <SpotlightEditor
+              value={row.spotlight}
+              defaults={spotlightStyle}
+              onChange={(spotlight) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, spotlight } : r))
+                )
+              }
+            />
+
+            {/* Transition Into This Step, Overriding the General Tab */}
+            <TransitionEditor
+              value={row.transition}
+              defaults={validateTransition(
+                transitionStyle,
+                createDefaultTransition()
+              )} // Shows the inherited values
+              onChange={(transition) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, transition } : r))
+                )
+              }
+            />
+
+            {/* Conditions That Decide Whether the Step Is Shown */}
+            <ConditionsEditor
+              conditions={row.conditions}
+              onChange={(conditions) =>
+                setRows((prev) =>
+                  prev.map((r) => (r.id === row.id ? { ...r, conditions } : r))
+                )
+              }
+              metadata={dashboardMetadata}
+            />
           </Box>
         ))}
 
         {/* Button to Add a New Tour Item Row */}
         <Box sx={{ m: 1 }}>
           <Button
+            disabled={tours.length === 0} // Rows always belong to a tour
             variant="outlined" // Outlined variant for visibility
             color="primary"
             startIcon={<AddIcon />} // Add icon before the button text
@@ -495,9 +1914,94 @@ const Configure = () => {
           display: "flex", // Enable flexbox
           justifyContent: "flex-end", // Align buttons to the end (right side)
           gap: 1, // Space between buttons
+          alignItems: "center", // Vertically center the size warning with the buttons
           backgroundColor: "#fff", // White background for the footer
         }}
       >
+        {/* Buttons to Undo and Redo Edits, Then to Move the Configuration Between Workbooks */}
+        <Box sx={{ mr: "auto", display: "flex", gap: 1 }}>
+          <Button
+            variant="text"
+            startIcon={<UndoIcon />}
+            onClick={handleUndo} // Handler to undo the last edit
+            disabled={!history || history.past.length === 0}
+            title="Undo (Ctrl+Z)"
+          >
+            Undo
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<RedoIcon />}
+            onClick={handleRedo} // Handler to redo the last undone edit
+            disabled={!history || history.future.length === 0}
+            title="Redo (Ctrl+Y)"
+          >
+            Redo
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<FileDownloadIcon />}
+            onClick={handleExport} // Handler to download the configuration
+          >
+            Export
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<FileUploadIcon />}
+            onClick={() => importInputRef.current.click()} // Open the file chooser
+          >
+            Import
+          </Button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={handleImportFile}
+          />
+          <Button
+            variant="text"
+            startIcon={<TranslateIcon />}
+            onClick={handleExportTranslations} // Handler to download the translation table
+          >
+            Export Translations
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<TranslateIcon />}
+            onClick={() => translationInputRef.current.click()} // Open the file chooser
+          >
+            Import Translations
+          </Button>
+          <input
+            ref={translationInputRef}
+            type="file"
+            accept="text/csv,.csv"
+            hidden
+            onChange={handleImportTranslationsFile}
+          />
+        </Box>
+
+        {/* Error Shown When Tableau Rejected the Last Save */}
+        {saveError && (
+          <Typography variant="body2" color="error">
+            The settings could not be saved: {saveError}
+          </Typography>
+        )}
+
+        {/* Warning Shown When the Settings Approach Tableau's Size Limit */}
+        {!saveError && settingsNearLimit && (
+          <Typography
+            variant="body2"
+            color={settingsTooLarge ? "error" : "warning.main"}
+          >
+            {settingsTooLarge
+              ? "The tours are too large to save. Remove images or steps."
+              : "The tours are close to the size Tableau can save."}{" "}
+            ({(settingsSize / 1024).toFixed(0)} KB of{" "}
+            {SETTINGS_SIZE_LIMIT / 1024} KB)
+          </Typography>
+        )}
         <Button
           variant="text" // Text variant for a subtle appearance
           color="primary"
@@ -509,10 +2013,79 @@ const Configure = () => {
           variant="contained" // Contained variant for prominence
           color="primary"
           onClick={handleSave} // Handler to save settings
+          disabled={settingsTooLarge} // Tableau would reject settings over its limit
         >
           Save {/* Button text */}
         </Button>
       </Box>
+
+      {/* Dry-Run Report Shown Before an Import Changes Anything */}
+      <ImportReportDialog
+        report={importPlan?.report}
+        error={importError}
+        onApply={handleApplyImport}
+        onClose={handleCloseImport}
+      />
+
+      {/* Summary Shown Before an Imported Translation Table Is Applied */}
+      <TranslationImportDialog
+        report={translationImport?.report}
+        error={translationError}
+        onApply={handleApplyTranslations}
+        onClose={handleCloseTranslations}
+      />
+
+      {/* Confirmation Shown When Cancel Would Discard Unsaved Changes */}
+      <Dialog
+        open={cancelConfirmOpen}
+        onClose={() => setCancelConfirmOpen(false)}
+      >
+        <DialogTitle>Discard Unsaved Changes?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The changes made since the dialog opened have not been saved and
+            will be lost.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCancelConfirmOpen(false)}>
+            Keep Editing
+          </Button>
+          <Button color="error" onClick={handleCancel}>
+            Discard
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Confirmation Shown Before a Whole Tour Is Deleted */}
+      <Dialog
+        open={deleteTourConfirmOpen}
+        onClose={() => setDeleteTourConfirmOpen(false)}
+      >
+        <DialogTitle>Delete Tour?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            &quot;{tours[selectedTour]?.name}&quot; and its{" "}
+            {tours[selectedTour]?.rows.length || 0} step(s) will be removed.
+            Undo brings them back.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTourConfirmOpen(false)}>
+            Keep Tour
+          </Button>
+          <Button color="error" onClick={handleDeleteTour}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Analytics Summary Kept in This Browser */}
+      <AnalyticsSummaryDialog
+        open={analyticsOpen}
+        onClose={() => setAnalyticsOpen(false)}
+        tours={tours}
+      />
     </Box>
   );
 };
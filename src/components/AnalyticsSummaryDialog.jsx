@@ -0,0 +1,161 @@
+// Import React hooks and Material-UI components
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import PropTypes from "prop-types";
+
+import {
+  clearAnalyticsSummary,
+  loadAnalyticsSummary,
+} from "../utils/analytics";
+
+/**
+ * Formats a share as a whole percentage.
+ * @param {number} part - The count.
+ * @param {number} total - The count it is a share of.
+ * @returns {string} The percentage, or a dash when there is nothing to share.
+ */
+const formatShare = (part, total) =>
+  total > 0 ? `${Math.round((part / total) * 100)}%` : "–";
+
+/**
+ * AnalyticsSummaryDialog component shows the analytics summary kept in this
+ * browser: how often each tour was started, completed and abandoned, and how
+ * long viewers spent on each step. Steps are matched by their saved ID, so
+ * reordered steps keep their numbers.
+ */
+const AnalyticsSummaryDialog = (props) => {
+  const {
+    open, // Whether the dialog is shown
+    onClose, // Called to close the dialog
+    tours, // The tours being edited, to name and order the steps
+  } = props;
+
+  // The summary, read again every time the dialog opens
+  const [summary, setSummary] = useState(() => loadAnalyticsSummary());
+
+  useEffect(() => {
+    if (open) setSummary(loadAnalyticsSummary());
+  }, [open]); // Trigger when the dialog opens
+
+  /**
+   * Handler to delete the summary, for example after testing the tour.
+   */
+  const handleReset = () => {
+    clearAnalyticsSummary();
+    setSummary(loadAnalyticsSummary());
+  };
+
+  const tourNames = Object.keys(summary.tours);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Tour Analytics</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Counts the tours viewed in this browser
+          {summary.since
+            ? ` since ${new Date(summary.since).toLocaleString()}`
+            : ""}
+          . Send events to an endpoint to follow every viewer.
+        </Typography>
+
+        {tourNames.length === 0 && (
+          <Typography variant="body2">
+            Nothing has been recorded yet.
+          </Typography>
+        )}
+
+        {tourNames.map((tourName) => {
+          const tourSummary = summary.tours[tourName];
+          const rows = tours.find((tour) => tour.name === tourName)?.rows || [];
+
+          // Current steps in their order, then steps that have been removed
+          const stepIds = [
+            ...rows.map((row) => row.id),
+            ...Object.keys(tourSummary.steps).filter(
+              (id) => !rows.some((row) => row.id === id)
+            ),
+          ].filter((id) => tourSummary.steps[id]);
+
+          return (
+            <Box key={tourName} sx={{ mb: 3 }}>
+              <Typography variant="subtitle1">{tourName}</Typography>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                Started {tourSummary.started} time(s), completed{" "}
+                {tourSummary.completed} (
+                {formatShare(tourSummary.completed, tourSummary.started)}),
+                abandoned {tourSummary.abandoned}.
+              </Typography>
+
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Step</TableCell>
+                    <TableCell align="right">Views</TableCell>
+                    <TableCell align="right">Average time (s)</TableCell>
+                    <TableCell align="right">Skipped</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {stepIds.map((id) => {
+                    const step = tourSummary.steps[id];
+                    const index = rows.findIndex((row) => row.id === id);
+                    const label =
+                      index === -1
+                        ? `Removed step${step.title ? `: ${step.title}` : ""}`
+                        : `${index + 1}. ${
+                            rows[index].title || step.title || "Untitled"
+                          }`;
+                    return (
+                      <TableRow key={id}>
+                        <TableCell>{label}</TableCell>
+                        <TableCell align="right">{step.views}</TableCell>
+                        <TableCell align="right">
+                          {step.views > 0
+                            ? (step.dwellMs / step.views / 1000).toFixed(1)
+                            : "–"}
+                        </TableCell>
+                        <TableCell align="right">{step.skips}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </Box>
+          );
+        })}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          color="error"
+          onClick={handleReset}
+          disabled={tourNames.length === 0}
+        >
+          Reset
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+AnalyticsSummaryDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  tours: PropTypes.array.isRequired,
+};
+
+export default AnalyticsSummaryDialog; // Export the AnalyticsSummaryDialog component as default
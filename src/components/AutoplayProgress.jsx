@@ -0,0 +1,44 @@
+// Import Material-UI components and the keyframes helper from Emotion
+import { Box } from "@mui/material";
+import { keyframes } from "@emotion/react";
+
+// Grows the progress bar from empty to full over the step's duration
+const fill = keyframes`
+  from { transform: scaleX(0); }
+  to { transform: scaleX(1); }
+`;
+
+/**
+ * AutoplayProgress component shows how much of the current step's time has
+ * elapsed in presentation mode. The animation is restarted by giving the
+ * component a new key for each step and freezes while playback is paused.
+ */
+// eslint-disable-next-line react/prop-types
+const AutoplayProgress = ({ durationMs, playing, color, label }) => {
+  return (
+    <Box
+      role="progressbar"
+      aria-label={label} // Translated description of the bar
+      sx={{
+        position: "absolute", // Pin the bar to the top edge of its container
+        top: 0,
+        left: 0,
+        right: 0,
+        height: "3px", // Thin bar that does not distract from the content
+        overflow: "hidden", // Keep the animated bar inside the rounded corners
+      }}
+    >
+      <Box
+        sx={{
+          height: "100%", // Fill the track vertically
+          backgroundColor: color, // Bar color
+          transformOrigin: "left", // Grow from left to right
+          animation: `${fill} ${durationMs}ms linear forwards`, // Fill over the step's duration
+          animationPlayState: playing ? "running" : "paused", // Freeze while paused
+        }}
+      />
+    </Box>
+  );
+};
+
+export default AutoplayProgress; // Export the AutoplayProgress component as default
@@ -0,0 +1,197 @@
+// Import Material-UI components and icons
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PropTypes from "prop-types";
+
+import {
+  CONDITION_OPERATORS,
+  CONDITION_TYPES,
+  createCondition,
+} from "../utils/stepConditions";
+
+// Shared sizing for the compact inputs on each condition line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * ConditionsEditor component edits the conditions a step needs to be shown.
+ * Parameters, worksheets, filters and fields are chosen from the metadata
+ * read from the dashboard.
+ */
+const ConditionsEditor = (props) => {
+  const {
+    conditions, // Conditions of the step, all of which must be met
+    onChange, // Called with the updated conditions
+    metadata, // Worksheets and parameters read from the dashboard
+  } = props;
+  const { worksheets = [], parameters = [] } = metadata || {};
+  const list = conditions || [];
+
+  /**
+   * Updates a single property of a condition.
+   * @param {number} index - The index of the condition to update.
+   * @param {string} key - The property to update.
+   * @param {string} value - The new value.
+   */
+  const updateCondition = (index, key, value) => {
+    onChange(
+      list.map((condition, i) =>
+        i === index ? { ...condition, [key]: value } : condition
+      )
+    );
+  };
+
+  /**
+   * Renders a dropdown of names with a disabled placeholder.
+   * @param {number} index - The index of the condition.
+   * @param {string} key - The property the dropdown edits.
+   * @param {string} placeholder - Text shown when nothing is chosen.
+   * @param {Array<string>} names - The names to choose from.
+   * @returns {JSX.Element} The select.
+   */
+  const renderNameSelect = (index, key, placeholder, names) => (
+    <Select
+      value={list[index][key]}
+      onChange={(e) => updateCondition(index, key, e.target.value)}
+      displayEmpty
+      sx={{ ...inputSx, width: "150px" }}
+    >
+      <MenuItem value="" disabled>
+        {placeholder}
+      </MenuItem>
+      {names.map((name) => (
+        <MenuItem key={name} value={name}>
+          {name}
+        </MenuItem>
+      ))}
+    </Select>
+  );
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Show this step only when
+      </Typography>
+
+      {list.map((condition, index) => {
+        const worksheet = worksheets.find(
+          (ws) => ws.name === condition.worksheet
+        );
+        const parameter = parameters.find(
+          (p) => p.name === condition.parameter
+        );
+
+        return (
+          <Box
+            key={index} // Conditions have no identity beyond their position
+            sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}
+          >
+            {/* Dropdown to Select What the Condition Checks */}
+            <Select
+              value={condition.type}
+              onChange={(e) => updateCondition(index, "type", e.target.value)}
+              sx={{ ...inputSx, width: "130px" }}
+            >
+              {CONDITION_TYPES.map((type) => (
+                <MenuItem key={type.value} value={type.value}>
+                  {type.label}
+                </MenuItem>
+              ))}
+            </Select>
+
+            {/* Parameter, or Worksheet and Field, the Condition Reads */}
+            {condition.type === "parameter" ? (
+              renderNameSelect(
+                index,
+                "parameter",
+                "Parameter",
+                parameters.map((p) => p.name)
+              )
+            ) : (
+              <>
+                {renderNameSelect(
+                  index,
+                  "worksheet",
+                  "Worksheet",
+                  worksheets.map((ws) => ws.name)
+                )}
+                {renderNameSelect(
+                  index,
+                  "field",
+                  condition.type === "filter" ? "Filter" : "Field",
+                  (condition.type === "filter"
+                    ? worksheet?.filters
+                    : worksheet?.fields) || []
+                )}
+              </>
+            )}
+
+            {/* Dropdown to Select How the Values Are Compared */}
+            <Select
+              value={condition.operator}
+              onChange={(e) =>
+                updateCondition(index, "operator", e.target.value)
+              }
+              sx={{ ...inputSx, width: "140px" }}
+            >
+              {CONDITION_OPERATORS.map((operator) => (
+                <MenuItem key={operator.value} value={operator.value}>
+                  {operator.label}
+                </MenuItem>
+              ))}
+            </Select>
+
+            {/* Text Field for the Comma-Separated Values */}
+            <TextField
+              placeholder={
+                parameter?.values
+                  ? parameter.values.join(", ") // Hint at the allowed values
+                  : "Values, comma separated"
+              }
+              value={condition.values}
+              onChange={(e) => updateCondition(index, "values", e.target.value)}
+              size="small"
+              sx={{ flex: 1, "& .MuiInputBase-root": inputSx }}
+            />
+
+            {/* Button to Remove the Condition */}
+            <IconButton
+              color="error"
+              size="small"
+              aria-label="Remove condition"
+              onClick={() => onChange(list.filter((_, i) => i !== index))}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        );
+      })}
+
+      {/* Button to Add a New Condition */}
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...list, createCondition()])}
+        sx={{ mt: 1 }}
+      >
+        Add condition
+      </Button>
+    </Box>
+  );
+};
+
+ConditionsEditor.propTypes = {
+  conditions: PropTypes.array,
+  onChange: PropTypes.func.isRequired,
+  metadata: PropTypes.object,
+};
+
+export default ConditionsEditor; // Export the ConditionsEditor component as default
@@ -0,0 +1,258 @@
+// Import React hooks, Material-UI components and icons
+import { useEffect, useRef, useState } from "react";
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+import FileUploadIcon from "@mui/icons-material/FileUpload";
+import PropTypes from "prop-types";
+
+import {
+  DEFAULT_FONT_FALLBACK,
+  FONT_FILE_TYPES,
+  FONT_SOURCES,
+  GOOGLE_FONTS,
+  SYSTEM_FONT_STACKS,
+  getFontFamily,
+  loadFontAsync,
+  readFontFileAsync,
+  validateFont,
+} from "../utils/fonts";
+
+// Shared sizing for the compact inputs
+const inputSx = { height: "40px" };
+
+// How long typing must pause before the font is loaded for the preview
+const LOAD_DELAY_MS = 500;
+
+/**
+ * FontPicker component chooses the font of the tour text: a Google Font, a
+ * system font stack, a font file hosted with the extension or embedded in the
+ * settings, or any installed font by name. It previews the font and reports
+ * whether it loaded, together with the fallback chain used otherwise.
+ */
+const FontPicker = (props) => {
+  const {
+    value, // Font settings: family, source, url and fallback
+    onChange, // Called with the updated font settings
+  } = props;
+
+  // Whether the font loaded: null while loading, then true or false
+  const [loaded, setLoaded] = useState(null);
+
+  // Message shown when an uploaded font file cannot be embedded
+  const [uploadError, setUploadError] = useState("");
+
+  // Reference to the hidden file input used by the Upload button
+  const fileInputRef = useRef(null);
+
+  const font = validateFont(value);
+  const fontKey = JSON.stringify(font); // Reload only when the font itself changes
+
+  /**
+   * useEffect hook to load the font shortly after the author stops typing,
+   * so the preview and the status show what viewers will see.
+   */
+  useEffect(() => {
+    let cancelled = false; // Ignore the result once the font changes again
+    setLoaded(null);
+    const timer = setTimeout(() => {
+      loadFontAsync(JSON.parse(fontKey)).then((result) => {
+        if (!cancelled) setLoaded(result);
+      });
+    }, LOAD_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fontKey]); // Trigger when the font changes
+
+  /**
+   * Updates a single property of the font settings.
+   * @param {string} key - The property to update.
+   * @param {string} newValue - The new value.
+   */
+  const update = (key, newValue) => {
+    onChange({ ...value, [key]: newValue });
+  };
+
+  /**
+   * Handler to switch the source, picking a family that suits it.
+   * @param {string} source - The new source.
+   */
+  const handleSourceChange = (source) => {
+    const family =
+      source === "system"
+        ? SYSTEM_FONT_STACKS[0].value
+        : source === "google"
+        ? GOOGLE_FONTS[0]
+        : value.family;
+    onChange({ ...value, source, family });
+  };
+
+  /**
+   * Handler for a font file chosen to embed in the settings. The family name
+   * defaults to the file name.
+   * @param {object} e - The change event of the file input.
+   */
+  const handleUploadFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow the same file to be chosen again
+    if (!file) return;
+
+    setUploadError("");
+    readFontFileAsync(file)
+      .then((url) =>
+        onChange({
+          ...value,
+          url,
+          family: value.family || file.name.replace(/\.[^.]+$/, ""),
+        })
+      )
+      .catch((error) => setUploadError(error.message));
+  };
+
+  const embedded = font.url.startsWith("data:");
+
+  return (
+    <Box sx={{ mb: 1 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+        {/* Dropdown to Select Where the Font Comes From */}
+        <Select
+          value={font.source}
+          onChange={(e) => handleSourceChange(e.target.value)}
+          inputProps={{ "aria-label": "Font source" }}
+          sx={{ ...inputSx, width: "320px" }}
+        >
+          {FONT_SOURCES.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+
+        {/* Font Family: a System Stack, or Any Name With Suggestions */}
+        {font.source === "system" ? (
+          <Select
+            value={font.family}
+            onChange={(e) => update("family", e.target.value)}
+            inputProps={{ "aria-label": "Font family" }}
+            sx={{ ...inputSx, flex: 1 }}
+          >
+            {SYSTEM_FONT_STACKS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.value}
+              </MenuItem>
+            ))}
+          </Select>
+        ) : (
+          <Autocomplete
+            freeSolo // Any family name can be typed
+            options={font.source === "google" ? GOOGLE_FONTS : []}
+            inputValue={value.family}
+            onInputChange={(e, family) => update("family", family)}
+            sx={{ flex: 1 }}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Font family"
+                size="small"
+                placeholder={
+                  font.source === "google" ? "e.g. Noto Sans" : "e.g. Corporate"
+                }
+              />
+            )}
+          />
+        )}
+      </Box>
+
+      {/* Location of a Hosted Font File, or an Embedded Upload */}
+      {font.source === "hosted" && (
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+          <TextField
+            label="Font file URL"
+            value={embedded ? "" : value.url}
+            placeholder={
+              embedded ? "Embedded font file" : "e.g. fonts/Corporate.woff2"
+            }
+            onChange={(e) => update("url", e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            size="small"
+            sx={{ flex: 1 }}
+            helperText="Relative to the extension, or a full URL on your own server"
+          />
+          <Button
+            variant="text"
+            startIcon={<FileUploadIcon />}
+            onClick={() => fileInputRef.current.click()} // Open the file chooser
+          >
+            Embed File
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={FONT_FILE_TYPES}
+            hidden
+            onChange={handleUploadFile}
+          />
+        </Box>
+      )}
+      {uploadError && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {uploadError}
+        </Alert>
+      )}
+
+      {/* Fonts Used While the Font Loads or if It Fails */}
+      {font.source !== "system" && (
+        <TextField
+          label="Fallback fonts"
+          value={value.fallback}
+          placeholder={DEFAULT_FONT_FALLBACK}
+          onChange={(e) => update("fallback", e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          size="small"
+          fullWidth
+          sx={{ mb: 1 }}
+          helperText="Comma-separated CSS font list, ending in a generic family such as sans-serif"
+        />
+      )}
+
+      {/* Preview of the Font and Whether It Loaded */}
+      <Typography
+        sx={{ fontFamily: getFontFamily(font), fontSize: "18px", mb: 1 }}
+      >
+        The quick brown fox jumps over the lazy dog.
+      </Typography>
+      {loaded === false && (
+        <Alert severity="warning">
+          {`"${font.family}" could not be loaded${
+            font.source === "google"
+              ? ". Google Fonts need internet access, which many Tableau Server installations do not have"
+              : font.source === "installed"
+              ? " because it is not installed on this computer"
+              : ""
+          }. Viewers in the same situation see ${font.fallback}.`}
+        </Alert>
+      )}
+      {loaded && font.source !== "system" && (
+        <Typography variant="body2" color="success.main">
+          Font loaded.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+FontPicker.propTypes = {
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default FontPicker; // Export the FontPicker component as default
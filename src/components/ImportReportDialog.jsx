@@ -0,0 +1,117 @@
+// Import Material-UI components
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import PropTypes from "prop-types";
+
+/**
+ * Describes a step in the import report.
+ * @param {object} item - The report entry for the step.
+ * @returns {string} A short description such as `Tour 1, step 3 "Sales"`.
+ */
+const describeStep = (item) =>
+  `${item.tour}, step ${item.step}${item.title ? ` "${item.title}"` : ""}`;
+
+/**
+ * ImportReportDialog component shows the dry-run report of an imported file
+ * and lets the author apply or abandon the import.
+ */
+const ImportReportDialog = (props) => {
+  const {
+    report, // Dry-run report from planImport, or null when closed
+    error, // Message shown instead of the report when the file was rejected
+    onApply, // Called to replace the configuration with the imported one
+    onClose, // Called to abandon the import
+  } = props;
+
+  return (
+    <Dialog open={Boolean(report || error)} onClose={onClose} fullWidth>
+      <DialogTitle>Import Tours</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {report && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {report.tours} tour(s) with {report.steps} step(s)
+              {report.dashboard ? ` exported from "${report.dashboard}"` : ""}.
+              Importing replaces all tours and general settings in this dialog.
+              Nothing is saved until you click Save.
+            </Typography>
+
+            <Typography variant="body2">
+              {report.matched} highlighted object(s) were found by ID.
+            </Typography>
+
+            {/* Steps Whose Object Was Found Again by Name */}
+            {report.remapped.length > 0 && (
+              <>
+                <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                  Remapped by name ({report.remapped.length})
+                </Typography>
+                <List dense disablePadding>
+                  {report.remapped.map((item, index) => (
+                    <ListItem key={index} disableGutters>
+                      <ListItemText
+                        primary={describeStep(item)}
+                        secondary={`"${item.objectName}": ID ${item.from} → ${item.to}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            )}
+
+            {/* Steps Whose Object Could Not Be Found */}
+            {report.unmatched.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {report.unmatched.length} highlighted object(s) are not on this
+                dashboard and need a new object:
+                <List dense disablePadding>
+                  {report.unmatched.map((item, index) => (
+                    <ListItem key={index} disableGutters>
+                      <ListItemText
+                        primary={describeStep(item)}
+                        secondary={
+                          item.objectName
+                            ? `"${item.objectName}" not found`
+                            : "No object name in the file"
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </Alert>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {report && (
+          <Button variant="contained" onClick={onApply}>
+            Import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ImportReportDialog.propTypes = {
+  report: PropTypes.object,
+  error: PropTypes.string,
+  onApply: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ImportReportDialog; // Export the ImportReportDialog component as default
@@ -0,0 +1,139 @@
+// Import Material-UI components
+import { Box, MenuItem, Select, TextField, Typography } from "@mui/material";
+import PropTypes from "prop-types";
+
+import { WAIT_EVENTS } from "../utils/interactiveSteps";
+
+// Shared sizing for the compact inputs on the step type line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * InteractiveStepEditor component chooses whether a step is read passively or
+ * waits for the viewer to act on the dashboard, and what it waits for.
+ */
+const InteractiveStepEditor = ({ type, waitFor, hint, onChange, metadata }) => {
+  const { worksheets = [], parameters = [] } = metadata || {};
+  const { event, worksheet: worksheetName, field, parameter } = waitFor;
+  const worksheet = worksheets.find((ws) => ws.name === worksheetName);
+
+  /**
+   * Updates a single property of the awaited action.
+   * @param {string} key - The property to update.
+   * @param {string} value - The new value.
+   */
+  const updateWaitFor = (key, value) => {
+    onChange({ waitFor: { ...waitFor, [key]: value } });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Step type
+      </Typography>
+
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+        {/* Dropdown to Select Between Reading and Hands-On Steps */}
+        <Select
+          value={type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          sx={{ ...inputSx, width: "150px" }}
+        >
+          <MenuItem value="read">Read</MenuItem>
+          <MenuItem value="interactive">Try it yourself</MenuItem>
+        </Select>
+
+        {type === "interactive" && (
+          <>
+            {/* Dropdown to Select the Awaited Event */}
+            <Select
+              value={event}
+              onChange={(e) => updateWaitFor("event", e.target.value)}
+              sx={{ ...inputSx, width: "170px" }}
+            >
+              {WAIT_EVENTS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+
+            {/* Dropdown to Select the Worksheet to Watch */}
+            {event !== "parameter" && (
+              <Select
+                value={worksheetName}
+                onChange={(e) => updateWaitFor("worksheet", e.target.value)}
+                displayEmpty
+                sx={{ ...inputSx, width: "150px" }}
+              >
+                <MenuItem value="">Any worksheet</MenuItem>
+                {worksheets.map((ws) => (
+                  <MenuItem key={ws.name} value={ws.name}>
+                    {ws.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+
+            {/* Dropdown to Select the Filtered Field to Watch */}
+            {event === "filter" && (
+              <Select
+                value={field}
+                onChange={(e) => updateWaitFor("field", e.target.value)}
+                displayEmpty
+                sx={{ ...inputSx, width: "150px" }}
+              >
+                <MenuItem value="">Any field</MenuItem>
+                {(worksheet?.fields || []).map((name) => (
+                  <MenuItem key={name} value={name}>
+                    {name}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+
+            {/* Dropdown to Select the Parameter to Watch */}
+            {event === "parameter" && (
+              <Select
+                value={parameter}
+                onChange={(e) => updateWaitFor("parameter", e.target.value)}
+                displayEmpty
+                sx={{ ...inputSx, width: "150px" }}
+              >
+                <MenuItem value="" disabled>
+                  Parameter
+                </MenuItem>
+                {parameters.map((p) => (
+                  <MenuItem key={p.name} value={p.name}>
+                    {p.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+          </>
+        )}
+      </Box>
+
+      {/* Text Field for the Optional Hint Shown While Waiting */}
+      {type === "interactive" && (
+        <TextField
+          placeholder="Hint (optional), e.g. Pick West in the Region filter"
+          value={hint}
+          onChange={(e) => onChange({ hint: e.target.value })}
+          size="small"
+          fullWidth
+          sx={{ mt: 1, "& .MuiInputBase-root": inputSx }}
+        />
+      )}
+    </Box>
+  );
+};
+
+InteractiveStepEditor.propTypes = {
+  type: PropTypes.string,
+  waitFor: PropTypes.object.isRequired,
+  hint: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  metadata: PropTypes.object,
+};
+
+export default InteractiveStepEditor; // Export the InteractiveStepEditor component as default
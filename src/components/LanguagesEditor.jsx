@@ -0,0 +1,182 @@
+// Import React hooks, Material-UI components and icons
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import PropTypes from "prop-types";
+
+import { UI_STRINGS, normalizeLanguage } from "../utils/localization";
+
+// Shared sizing for the compact inputs
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * LanguagesEditor component edits the languages the tour is translated into,
+ * the default language, and the text of the tour's own controls per language.
+ */
+const LanguagesEditor = (props) => {
+  const {
+    value, // Localization settings: defaultLanguage, languages and ui
+    onChange, // Called with the updated settings
+  } = props;
+
+  // Language code typed into the field for adding a language
+  const [newLanguage, setNewLanguage] = useState("");
+
+  const { defaultLanguage, languages, ui } = value;
+
+  /**
+   * Handler to add the typed language code.
+   */
+  const handleAddLanguage = () => {
+    const language = normalizeLanguage(newLanguage);
+    if (language && !languages.includes(language)) {
+      onChange({ ...value, languages: [...languages, language] });
+    }
+    setNewLanguage("");
+  };
+
+  /**
+   * Handler to remove a language and its control text. Step and tour
+   * translations are kept so adding the language back restores them.
+   * @param {string} language - The language to remove.
+   */
+  const handleRemoveLanguage = (language) => {
+    const otherUi = { ...ui };
+    delete otherUi[language];
+    onChange({
+      ...value,
+      languages: languages.filter((l) => l !== language),
+      ui: otherUi,
+    });
+  };
+
+  /**
+   * Updates the text of one control in one language.
+   * @param {string} language - The language of the text.
+   * @param {string} key - The control the text belongs to.
+   * @param {string} text - The new text; empty uses the built-in text.
+   */
+  const updateUiString = (language, key, text) => {
+    onChange({
+      ...value,
+      ui: { ...ui, [language]: { ...ui[language], [key]: text } },
+    });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+        {/* Dropdown to Select the Default Language */}
+        <Typography variant="body2">Default language</Typography>
+        <Select
+          value={defaultLanguage}
+          onChange={(e) =>
+            onChange({ ...value, defaultLanguage: e.target.value })
+          }
+          sx={{ ...inputSx, width: "100px" }}
+        >
+          {languages.map((language) => (
+            <MenuItem key={language} value={language}>
+              {language}
+            </MenuItem>
+          ))}
+        </Select>
+
+        {/* One Chip per Language; the Default Cannot Be Removed */}
+        {languages.map((language) => (
+          <Chip
+            key={language}
+            label={language}
+            onDelete={
+              language === defaultLanguage
+                ? undefined
+                : () => handleRemoveLanguage(language)
+            }
+          />
+        ))}
+
+        {/* Field and Button to Add a Language */}
+        <TextField
+          placeholder="e.g. de or fr-ca"
+          value={newLanguage}
+          onChange={(e) => setNewLanguage(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") handleAddLanguage();
+          }}
+          size="small"
+          inputProps={{ "aria-label": "Language code" }}
+          sx={{ width: "140px", "& .MuiInputBase-root": inputSx }}
+        />
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={handleAddLanguage}
+          disabled={!normalizeLanguage(newLanguage)}
+        >
+          Add language
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Use the codes of Tableau locales, such as en, de, fr or es-mx. Viewers
+        see the closest language to their Tableau locale.
+      </Typography>
+
+      {/* Text of the Tour's Own Controls; Empty Fields Use the Built-in Text */}
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Control</TableCell>
+            {languages.map((language) => (
+              <TableCell key={language}>{language}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {UI_STRINGS.map(({ key, text }) => (
+            <TableRow key={key}>
+              <TableCell sx={{ whiteSpace: "nowrap" }}>{text}</TableCell>
+              {languages.map((language) => (
+                <TableCell key={language}>
+                  <TextField
+                    value={ui[language]?.[key] || ""}
+                    placeholder={
+                      language === defaultLanguage
+                        ? text
+                        : ui[defaultLanguage]?.[key] || text
+                    } // Shows the text used when left empty
+                    onChange={(e) =>
+                      updateUiString(language, key, e.target.value)
+                    }
+                    size="small"
+                    inputProps={{ "aria-label": `${text} (${language})` }}
+                    sx={{ "& .MuiInputBase-root": inputSx }}
+                  />
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+LanguagesEditor.propTypes = {
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default LanguagesEditor; // Export the LanguagesEditor component as default
@@ -0,0 +1,319 @@
+// Import Material-UI components and utilities
+import { useLayoutEffect, useRef, useState } from "react";
+import { Box, Typography } from "@mui/material";
+import PropTypes from "prop-types";
+
+import RichText from "./RichText";
+import SpotlightOverlay from "./SpotlightOverlay";
+import { computeStepLayout, getStepRects } from "../utils/layout";
+import { getTooltipSx } from "../utils/theme";
+
+// Distance in screen pixels a press must move before it draws a region
+const DRAG_THRESHOLD = 4;
+
+/**
+ * LayoutMap component draws a scaled-down map of the dashboard. Clicking an
+ * object assigns it to the selected step, dragging draws an extra highlighted
+ * region, and the selected step is previewed with the same spotlight and
+ * tooltip position the tour uses.
+ */
+const LayoutMap = (props) => {
+  const {
+    objects, // Dashboard objects with id, name, type, x, y, width and height
+    dashboardSize, // Width and height of the dashboard
+    extensionPosition, // Position and size of the extension zone, if found
+    step, // The selected step, or null when no step is selected
+    onSelectObject, // Called with the id of a clicked object
+    onDrawRegion, // Called with a region drawn by dragging, in dashboard coordinates
+    width, // Width of the map in pixels
+    backgroundColor, // Color of the overlay
+    transparency, // Transparency of the overlay in percent
+    fontFamily, // Font of the tooltip preview
+    tooltipMaxWidth, // Maximum width of the tooltip
+    spotlight, // Resolved spotlight style of the selected step
+    theme, // Colors and sizes of the tooltip
+  } = props;
+
+  // Measured size of the tooltip preview, so it is placed like the real one
+  const tooltipRef = useRef(null);
+  const [tooltipSize, setTooltipSize] = useState(null);
+
+  // Region being drawn, and whether the last press drew one instead of clicking
+  const mapRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+  const drew = useRef(false);
+
+  useLayoutEffect(() => {
+    const tooltip = tooltipRef.current;
+    if (!tooltip) return;
+
+    // Offset sizes ignore the map's scaling, like the real tooltip's size
+    const { offsetWidth: width, offsetHeight: height } = tooltip;
+    setTooltipSize((prev) =>
+      prev?.width === width && prev?.height === height
+        ? prev
+        : { width, height }
+    );
+  }, [step, extensionPosition, tooltipMaxWidth, fontFamily, theme]); // Trigger when the content or size may change
+
+  if (!dashboardSize?.width || !dashboardSize?.height) return null;
+
+  // Draw everything in dashboard pixels and scale the whole map down
+  const scale = Math.min(width / dashboardSize.width, 1);
+
+  // Larger objects first so the smaller ones inside containers stay clickable
+  const sortedObjects = objects
+    .filter((obj) => obj.id !== extensionPosition?.id) // The tour's own zone covers everything
+    .sort((a, b) => b.width * b.height - a.width * a.height);
+
+  // The preview is only possible once the step's object is on the dashboard
+  const objectDetails = Object.fromEntries(objects.map((obj) => [obj.id, obj]));
+  const rects = step ? getStepRects(step, objectDetails) : [];
+  const layout =
+    rects.length > 0 && extensionPosition
+      ? computeStepLayout(rects, extensionPosition, step.position, {
+          maxWidth: tooltipMaxWidth,
+          size: tooltipSize,
+          padding: spotlight.padding,
+        })
+      : null;
+
+  // Objects the selected step highlights
+  const stepObjectIds = step
+    ? [step.object, ...step.targets.map((target) => target.object)].map(String)
+    : [];
+
+  /**
+   * Converts the pointer position to dashboard coordinates.
+   * @param {PointerEvent} event - The pointer event.
+   * @returns {object} `{ x, y }` in dashboard pixels.
+   */
+  const toDashboardPoint = (event) => {
+    const bounds = mapRef.current.getBoundingClientRect();
+    return {
+      x: (event.clientX - bounds.left) / scale,
+      y: (event.clientY - bounds.top) / scale,
+    };
+  };
+
+  // The region being drawn, in dashboard pixels
+  const draftRect = draft?.dragging && {
+    x: Math.round(Math.min(draft.start.x, draft.end.x)),
+    y: Math.round(Math.min(draft.start.y, draft.end.y)),
+    width: Math.round(Math.abs(draft.end.x - draft.start.x)),
+    height: Math.round(Math.abs(draft.end.y - draft.start.y)),
+  };
+
+  /**
+   * Handler to start a region where the pointer is pressed.
+   * @param {PointerEvent} event - The pointerdown event.
+   */
+  const handlePointerDown = (event) => {
+    drew.current = false;
+    if (!step || event.button !== 0) return;
+    const start = toDashboardPoint(event);
+    setDraft({ start, end: start, dragging: false });
+  };
+
+  /**
+   * Handler to grow the region while the pointer moves.
+   * @param {PointerEvent} event - The pointermove event.
+   */
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const end = toDashboardPoint(event);
+    const dragging =
+      draft.dragging ||
+      Math.hypot(end.x - draft.start.x, end.y - draft.start.y) * scale >
+        DRAG_THRESHOLD;
+    if (dragging && !draft.dragging) {
+      // Keep receiving moves even when the pointer leaves the map
+      mapRef.current.setPointerCapture(event.pointerId);
+    }
+    setDraft({ ...draft, end, dragging });
+  };
+
+  /**
+   * Handler to finish the region, or let the press count as a click.
+   */
+  const handlePointerUp = () => {
+    if (draft?.dragging) {
+      drew.current = true; // The click that follows is not an object pick
+      onDrawRegion(draftRect);
+    }
+    setDraft(null);
+  };
+
+  return (
+    <Box
+      sx={{
+        width: dashboardSize.width * scale, // Scaled width of the dashboard
+        height: dashboardSize.height * scale, // Scaled height of the dashboard
+        border: "1px solid #ccc", // Outline of the dashboard
+        overflow: "hidden", // Clip anything outside the dashboard
+        mb: 2, // Margin bottom to separate the map from the rows
+      }}
+    >
+      <Box
+        ref={mapRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDraft(null)}
+        sx={{
+          position: "relative", // Contain the absolutely positioned rectangles
+          touchAction: "none", // Let touch drags draw regions instead of scrolling
+          width: dashboardSize.width, // Full dashboard width before scaling
+          height: dashboardSize.height, // Full dashboard height before scaling
+          transform: `scale(${scale})`, // Shrink the dashboard to fit the map
+          transformOrigin: "top left", // Scale towards the top left corner
+          backgroundColor: "#fafafa", // Light background for the dashboard
+        }}
+      >
+        {/* One Clickable Rectangle per Dashboard Object */}
+        {sortedObjects.map((obj) => {
+          const selected = stepObjectIds.includes(String(obj.id));
+          return (
+            <Box
+              key={obj.id}
+              component="button"
+              type="button"
+              title={`${obj.name} (${obj.type})`} // Full name on hover
+              aria-label={`Use ${obj.name} for the selected step`}
+              disabled={!step} // Objects can only be assigned to a selected step
+              onClick={() => {
+                if (drew.current) {
+                  drew.current = false; // This press drew a region
+                  return;
+                }
+                onSelectObject(obj.id);
+              }}
+              sx={{
+                position: "absolute", // Position the rectangle like the object
+                left: obj.x,
+                top: obj.y,
+                width: obj.width,
+                height: obj.height,
+                p: "4px", // Keep the name off the border
+                border: selected ? "4px solid #1976d2" : "2px solid #9e9e9e", // Highlight the assigned object
+                backgroundColor: "transparent", // Show the objects underneath
+                color: "#424242", // Dark grey name
+                fontSize: 14 / scale, // Keep the name readable after scaling
+                textAlign: "left", // Names start in the top left corner
+                display: "flex", // Place the name in the top left corner
+                alignItems: "flex-start",
+                overflow: "hidden", // Clip long names
+                cursor: step ? "pointer" : "default", // Only clickable with a selected step
+                "&:hover:enabled": {
+                  backgroundColor: "rgba(25, 118, 210, 0.08)",
+                }, // Show which object a click would pick
+              }}
+            >
+              {obj.name}
+            </Box>
+          );
+        })}
+
+        {/* Region Being Drawn by Dragging */}
+        {draftRect && (
+          <Box
+            sx={{
+              position: "absolute", // Position the region like it is drawn
+              left: draftRect.x,
+              top: draftRect.y,
+              width: draftRect.width,
+              height: draftRect.height,
+              border: `${2 / scale}px dashed #1976d2`, // Dashed outline that stays visible when scaled
+              backgroundColor: "rgba(25, 118, 210, 0.08)",
+              pointerEvents: "none", // Keep the pointer events on the map
+              zIndex: 1, // Above the preview
+            }}
+          />
+        )}
+
+        {/* Preview of the Spotlight and Tooltip, Placed Like the Tour Places Them */}
+        {layout && (
+          <Box
+            sx={{
+              position: "absolute", // Overlay the extension zone
+              left: extensionPosition.x,
+              top: extensionPosition.y,
+              width: extensionPosition.width,
+              height: extensionPosition.height,
+              overflow: "hidden", // Clip the tooltip to the extension like the tour does
+              pointerEvents: "none", // Let clicks reach the objects underneath
+            }}
+          >
+            <SpotlightOverlay
+              cutouts={layout.cutouts}
+              color={backgroundColor} // Same color as the tour
+              opacity={transparency / 100}
+              spotlight={spotlight}
+            />
+
+            <Box
+              ref={tooltipRef}
+              sx={{
+                position: "absolute", // Position the tooltip like the tour does
+                top: layout.text.top,
+                left: layout.text.left,
+                width: "max-content", // Sized by its text, like the real tooltip
+                maxWidth: layout.text.maxWidth,
+                maxHeight: layout.text.maxHeight,
+                boxSizing: "border-box",
+                display: "flex",
+                flexDirection: "column",
+                overflow: "hidden",
+                ...getTooltipSx(theme), // Same look as the tour tooltip
+                padding: "10px",
+                borderRadius: "8px",
+              }}
+            >
+              {step.title && (
+                <Typography
+                  variant="subtitle1"
+                  sx={{
+                    color: "inherit",
+                    fontSize: `${theme.fontSize * 1.125}px`,
+                    fontWeight: 700,
+                    mb: 0.5,
+                    fontFamily,
+                  }}
+                >
+                  {step.title}
+                </Typography>
+              )}
+              <RichText
+                text={step.text}
+                sx={{
+                  color: "inherit",
+                  fontFamily,
+                  fontSize: `${theme.fontSize}px`,
+                  overflowY: "auto",
+                }}
+              />
+            </Box>
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+LayoutMap.propTypes = {
+  objects: PropTypes.array.isRequired,
+  dashboardSize: PropTypes.object,
+  extensionPosition: PropTypes.object,
+  step: PropTypes.object,
+  onSelectObject: PropTypes.func.isRequired,
+  onDrawRegion: PropTypes.func.isRequired,
+  width: PropTypes.number.isRequired,
+  backgroundColor: PropTypes.string,
+  transparency: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  fontFamily: PropTypes.string,
+  tooltipMaxWidth: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  spotlight: PropTypes.object.isRequired,
+  theme: PropTypes.object.isRequired,
+};
+
+export default LayoutMap; // Export the LayoutMap component as default
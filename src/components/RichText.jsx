@@ -0,0 +1,29 @@
+// Import Material-UI components and the Markdown renderer
+import { Box } from "@mui/material";
+import { renderRichText } from "../utils/richText";
+
+/**
+ * RichText component renders the formatted body of a tour step.
+ * The Markdown source is converted and sanitised before it reaches the DOM.
+ */
+// eslint-disable-next-line react/prop-types
+const RichText = ({ text, sx }) => {
+  return (
+    <Box
+      className="rich-text" // Class for additional styling if needed
+      sx={{
+        whiteSpace: "normal", // Allow text to wrap
+        wordBreak: "break-word", // Break long URLs instead of overflowing
+        "& p": { m: 0, mb: 1 }, // Compact paragraph spacing
+        "& p:last-child": { mb: 0 }, // No trailing gap after the last paragraph
+        "& ul, & ol": { m: 0, mb: 1, pl: 3 }, // Indent lists slightly
+        "& a": { color: "inherit", textDecoration: "underline" }, // Links follow the text color
+        "& img": { maxWidth: "100%", height: "auto" }, // Keep images inside the tooltip
+        ...sx,
+      }}
+      dangerouslySetInnerHTML={{ __html: renderRichText(text) }} // Body is sanitised by renderRichText
+    />
+  );
+};
+
+export default RichText; // Export the RichText component as default
@@ -0,0 +1,153 @@
+// Import necessary React hooks and Material-UI components
+import { useRef } from "react";
+import { Box, IconButton, TextField, Tooltip, Typography } from "@mui/material";
+
+// Import Material-UI icons for the formatting toolbar
+import FormatBoldIcon from "@mui/icons-material/FormatBold";
+import FormatItalicIcon from "@mui/icons-material/FormatItalic";
+import FormatListBulletedIcon from "@mui/icons-material/FormatListBulleted";
+import InsertLinkIcon from "@mui/icons-material/InsertLink";
+import ImageIcon from "@mui/icons-material/Image";
+
+import RichText from "./RichText";
+
+/**
+ * RichTextEditor component provides a multi-line Markdown editor with a
+ * formatting toolbar and a live preview of the rendered step body.
+ */
+// eslint-disable-next-line react/prop-types
+const RichTextEditor = ({ value, onChange, fontFamily }) => {
+  // Reference to the underlying textarea so the toolbar can read the selection
+  const inputRef = useRef(null);
+
+  /**
+   * Wraps the current selection with Markdown markers, or inserts a
+   * placeholder when nothing is selected, then restores the caret.
+   * @param {string} before - Text inserted before the selection.
+   * @param {string} after - Text inserted after the selection.
+   * @param {string} placeholder - Text used when the selection is empty.
+   */
+  const wrapSelection = (before, after, placeholder) => {
+    const input = inputRef.current;
+    const text = value || "";
+    const start = input ? input.selectionStart : text.length;
+    const end = input ? input.selectionEnd : text.length;
+    const selected = text.slice(start, end) || placeholder;
+
+    onChange(
+      text.slice(0, start) + before + selected + after + text.slice(end)
+    );
+
+    // Re-select the wrapped text once React has updated the textarea
+    requestAnimationFrame(() => {
+      if (!input) return;
+      input.focus();
+      input.setSelectionRange(
+        start + before.length,
+        start + before.length + selected.length
+      );
+    });
+  };
+
+  /**
+   * Prefixes every selected line with a bullet marker.
+   */
+  const insertList = () => {
+    const input = inputRef.current;
+    const text = value || "";
+    const start = input ? input.selectionStart : text.length;
+    const end = input ? input.selectionEnd : text.length;
+
+    // Expand the selection to whole lines so each one becomes a list item
+    const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+    const lines = text.slice(lineStart, end) || "List item";
+    const bulleted = lines
+      .split("\n")
+      .map((line) => `- ${line}`)
+      .join("\n");
+
+    onChange(text.slice(0, lineStart) + bulleted + text.slice(end));
+  };
+
+  // Toolbar definition: label, icon and the action each button performs
+  const toolbar = [
+    {
+      label: "Bold",
+      icon: <FormatBoldIcon fontSize="small" />,
+      action: () => wrapSelection("**", "**", "bold text"),
+    },
+    {
+      label: "Italic",
+      icon: <FormatItalicIcon fontSize="small" />,
+      action: () => wrapSelection("_", "_", "italic text"),
+    },
+    {
+      label: "Bulleted list",
+      icon: <FormatListBulletedIcon fontSize="small" />,
+      action: insertList,
+    },
+    {
+      label: "Link",
+      icon: <InsertLinkIcon fontSize="small" />,
+      action: () => wrapSelection("[", "](https://)", "link text"),
+    },
+    {
+      label: "Image",
+      icon: <ImageIcon fontSize="small" />,
+      action: () => wrapSelection("![", "](https://)", "image description"),
+    },
+  ];
+
+  return (
+    <Box sx={{ display: "flex", gap: 2, alignItems: "stretch" }}>
+      {/* Editor Section: toolbar above a multi-line Markdown field */}
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Box sx={{ display: "flex", gap: 0.5, mb: 0.5 }}>
+          {toolbar.map((button) => (
+            <Tooltip key={button.label} title={button.label}>
+              <IconButton
+                size="small"
+                aria-label={button.label}
+                onClick={button.action}
+              >
+                {button.icon}
+              </IconButton>
+            </Tooltip>
+          ))}
+        </Box>
+        <TextField
+          label="Body" // Label for the body input
+          value={value} // Current Markdown source
+          onChange={(e) => onChange(e.target.value)}
+          inputRef={inputRef}
+          multiline
+          minRows={4}
+          maxRows={12}
+          fullWidth
+          helperText="Supports **bold**, _italic_, - lists, [links](url) and ![images](url)"
+        />
+      </Box>
+
+      {/* Live Preview Section: renders exactly what the tooltip will show */}
+      <Box
+        sx={{
+          flex: 1,
+          minWidth: 0,
+          border: "1px solid #ddd", // Light border for definition
+          borderRadius: "4px", // Rounded corners
+          p: 1, // Padding inside the preview
+          backgroundColor: "#fafafa", // Subtle background to set it apart
+          overflowY: "auto", // Scroll long bodies
+          maxHeight: "300px", // Keep the preview from growing indefinitely
+        }}
+      >
+        <Typography variant="caption" color="text.secondary">
+          Preview
+        </Typography>
+        <RichText text={value} sx={{ fontFamily, fontSize: "14px" }} />
+      </Box>
+    </Box>
+  );
+};
+
+export default RichTextEditor; // Export the RichTextEditor component as default
@@ -0,0 +1,116 @@
+// Import Material-UI components
+import {
+  Box,
+  Link,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+import PropTypes from "prop-types";
+
+import { SPOTLIGHT_EFFECTS } from "../utils/spotlight";
+
+// Shared sizing for the compact inputs on the spotlight line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * SpotlightEditor component edits the spotlight style: cutout padding, corner
+ * radius, highlight border and attention effect. Given `defaults`, it edits a
+ * step's overrides instead, where an empty field uses the default.
+ */
+const SpotlightEditor = (props) => {
+  const {
+    value, // The spotlight style or overrides being edited
+    onChange, // Called with the updated style
+    defaults, // The general style, when editing a step's overrides
+  } = props;
+
+  /**
+   * Updates a single property of the spotlight style.
+   * @param {string} key - The property to update.
+   * @param {string} newValue - The new value.
+   */
+  const update = (key, newValue) => {
+    onChange({ ...value, [key]: newValue });
+  };
+
+  /**
+   * Renders a number field for one property of the spotlight style.
+   * @param {string} key - The property to edit.
+   * @param {string} label - The label of the field.
+   * @returns {JSX.Element} The text field.
+   */
+  const renderNumberField = (key, label) => (
+    <TextField
+      label={label}
+      type="number"
+      value={value[key]}
+      placeholder={defaults ? String(defaults[key]) : undefined} // Shows the inherited value
+      onChange={(e) => update(key, e.target.value)}
+      InputLabelProps={{ shrink: true }} // Keep the label clear of the placeholder
+      InputProps={{ inputProps: { min: 0 } }}
+      size="small"
+      sx={{ width: "110px", "& .MuiInputBase-root": inputSx }}
+    />
+  );
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Spotlight{defaults ? " (empty uses the General tab)" : ""}
+      </Typography>
+
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+        {renderNumberField("padding", "Padding (px)")}
+        {renderNumberField("radius", "Corners (px)")}
+        {renderNumberField("outlineWidth", "Border (px)")}
+
+        {/* Color of the Highlight Border and Glow */}
+        <TextField
+          label="Border color"
+          type="color"
+          value={value.outlineColor || defaults?.outlineColor || "#FFFFFF"}
+          onChange={(e) => update("outlineColor", e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          size="small"
+          sx={{ width: "110px", "& .MuiInputBase-root": inputSx }}
+        />
+
+        {/* Link to Go Back to the Default Border Color */}
+        {defaults && value.outlineColor && (
+          <Link
+            component="button"
+            variant="body2"
+            onClick={() => update("outlineColor", "")}
+          >
+            Default color
+          </Link>
+        )}
+
+        {/* Dropdown to Select the Attention Effect */}
+        <Select
+          value={value.effect}
+          onChange={(e) => update("effect", e.target.value)}
+          displayEmpty
+          sx={{ ...inputSx, width: "130px" }}
+        >
+          {defaults && <MenuItem value="">Default effect</MenuItem>}
+          {SPOTLIGHT_EFFECTS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </Box>
+    </Box>
+  );
+};
+
+SpotlightEditor.propTypes = {
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  defaults: PropTypes.object,
+};
+
+export default SpotlightEditor; // Export the SpotlightEditor component as default
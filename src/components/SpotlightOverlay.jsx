@@ -0,0 +1,126 @@
+// Import React hooks, Material-UI components and the keyframes helper from Emotion
+import { useId } from "react";
+import { Box } from "@mui/material";
+import { keyframes } from "@emotion/react";
+import PropTypes from "prop-types";
+
+// Grows and fades a ring around the cutout to draw attention to it
+const pulse = keyframes`
+  0% { stroke-opacity: 1; stroke-width: var(--spotlight-outline); }
+  100% { stroke-opacity: 0; stroke-width: calc(var(--spotlight-outline) + 16px); }
+`;
+
+// Brightens and dims a soft glow around the cutout
+const glow = keyframes`
+  0%, 100% { filter: drop-shadow(0 0 2px var(--spotlight-color)); }
+  50% { filter: drop-shadow(0 0 12px var(--spotlight-color)); }
+`;
+
+// Animates the cutout when the step or the dashboard layout changes, unless
+// the tour passes its own transition
+const defaultTransition = ["x", "y", "width", "height"]
+  .map((property) => `${property} 0.3s ease`)
+  .join(", ");
+
+/**
+ * SpotlightOverlay component dims everything except rounded cutouts around
+ * the highlighted objects, using a single SVG mask so there are no seams.
+ * An optional outline with a pulse or glow effect draws attention to it.
+ */
+const SpotlightOverlay = (props) => {
+  const {
+    cutouts, // Positions and sizes of the cutouts
+    color, // Color of the overlay
+    opacity, // Opacity of the overlay, from 0 to 1
+    spotlight, // Resolved spotlight style: radius, outlineWidth, outlineColor, effect
+    zIndex, // Stacking order of the overlay
+    transition = defaultTransition, // CSS transition of the cutouts between steps
+  } = props;
+
+  // Masks are referenced by id, so each overlay needs its own
+  const maskId = `spotlight-mask-${useId().replace(/:/g, "")}`;
+
+  const { radius, outlineWidth, outlineColor, effect } = spotlight;
+  const rects = cutouts.map((cutout) => ({
+    x: cutout.x,
+    y: cutout.y,
+    width: Math.max(cutout.width, 0),
+    height: Math.max(cutout.height, 0),
+    rx: Math.max(Math.min(radius, cutout.width / 2, cutout.height / 2), 0), // Never rounder than the cutout
+  }));
+
+  // The effects need an outline to animate; a glow alone uses a hairline
+  const strokeWidth =
+    outlineWidth > 0 ? outlineWidth : effect !== "none" ? 1 : 0;
+
+  return (
+    <Box
+      component="svg"
+      aria-hidden="true"
+      sx={{
+        position: "absolute", // Cover the whole extension
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        zIndex, // Place the overlay below the navigation and tooltip
+        "--spotlight-outline": `${strokeWidth}px`, // Read by the pulse animation
+        "--spotlight-color": outlineColor, // Read by the glow animation
+        "& rect": { transition }, // Move to new positions
+        "@media (prefers-reduced-motion: reduce)": {
+          "& rect": { transition: "none", animation: "none !important" },
+        }, // Respect reduced motion
+      }}
+    >
+      <defs>
+        <mask id={maskId}>
+          <rect width="100%" height="100%" fill="white" />
+          {rects.map((rect, index) => (
+            <rect key={index} {...rect} fill="black" />
+          ))}
+        </mask>
+      </defs>
+
+      {/* The Dimmed Overlay With the Cutout Masked Out */}
+      <rect
+        width="100%"
+        height="100%"
+        fill={color}
+        fillOpacity={opacity}
+        mask={`url(#${maskId})`}
+      />
+
+      {/* Highlight Border and Attention Effect Around Each Cutout */}
+      {strokeWidth > 0 &&
+        rects.map((rect, index) => (
+          <Box
+            key={index}
+            component="rect"
+            {...rect}
+            fill="none"
+            stroke={outlineColor}
+            strokeWidth={strokeWidth}
+            sx={{
+              animation:
+                effect === "pulse"
+                  ? `${pulse} 1.5s ease-out infinite`
+                  : effect === "glow"
+                  ? `${glow} 2s ease-in-out infinite`
+                  : "none",
+            }}
+          />
+        ))}
+    </Box>
+  );
+};
+
+SpotlightOverlay.propTypes = {
+  cutouts: PropTypes.array.isRequired,
+  color: PropTypes.string,
+  opacity: PropTypes.number,
+  spotlight: PropTypes.object.isRequired,
+  zIndex: PropTypes.number,
+  transition: PropTypes.string,
+};
+
+export default SpotlightOverlay; // Export the SpotlightOverlay component as default
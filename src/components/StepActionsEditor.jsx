@@ -0,0 +1,224 @@
+// Import Material-UI components
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+
+// Import Material-UI icons for adding and removing actions
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+
+import { ACTION_TYPES, createAction } from "../utils/tourActions";
+
+// Shared sizing for the compact inputs on each action line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * StepActionsEditor component edits the dashboard actions that run when a
+ * tour step becomes active. Worksheets, fields and parameters are chosen from
+ * the metadata read from the dashboard.
+ */
+// eslint-disable-next-line react/prop-types
+const StepActionsEditor = ({ actions, onChange, metadata }) => {
+  const { worksheets = [], parameters = [] } = metadata || {};
+  const list = actions || [];
+
+  /**
+   * Updates a single property of an action.
+   * @param {number} index - The index of the action to update.
+   * @param {string} key - The property to update.
+   * @param {*} value - The new value.
+   */
+  const updateAction = (index, key, value) => {
+    onChange(
+      list.map((action, i) =>
+        i === index ? { ...action, [key]: value } : action
+      )
+    );
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Actions when this step starts
+      </Typography>
+
+      {list.map((action, index) => {
+        const usesWorksheet = action.type !== "parameter";
+        const usesField = ["filter", "clearFilter", "selectMarks"].includes(
+          action.type
+        );
+        const usesValues = ["filter", "selectMarks"].includes(action.type);
+        const worksheet = worksheets.find((ws) => ws.name === action.worksheet);
+        const parameter = parameters.find((p) => p.name === action.parameter);
+
+        return (
+          <Box
+            key={index} // Actions have no identity beyond their position
+            sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}
+          >
+            {/* Dropdown to Select the Action Type */}
+            <Select
+              value={action.type}
+              onChange={(e) => updateAction(index, "type", e.target.value)}
+              sx={{ ...inputSx, width: "150px" }}
+            >
+              {ACTION_TYPES.map((type) => (
+                <MenuItem key={type.value} value={type.value}>
+                  {type.label}
+                </MenuItem>
+              ))}
+            </Select>
+
+            {/* Dropdown to Select the Target Worksheet */}
+            {usesWorksheet && (
+              <Select
+                value={action.worksheet}
+                onChange={(e) =>
+                  updateAction(index, "worksheet", e.target.value)
+                }
+                displayEmpty
+                sx={{ ...inputSx, width: "150px" }}
+              >
+                <MenuItem value="" disabled>
+                  Worksheet
+                </MenuItem>
+                {worksheets.map((ws) => (
+                  <MenuItem key={ws.name} value={ws.name}>
+                    {ws.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+
+            {/* Dropdown to Select the Field of the Worksheet */}
+            {usesField && (
+              <Select
+                value={action.field}
+                onChange={(e) => updateAction(index, "field", e.target.value)}
+                displayEmpty
+                sx={{ ...inputSx, width: "150px" }}
+              >
+                <MenuItem value="" disabled>
+                  Field
+                </MenuItem>
+                {(worksheet?.fields || []).map((field) => (
+                  <MenuItem key={field} value={field}>
+                    {field}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+
+            {/* Text Field for the Comma-Separated Field Values */}
+            {usesValues && (
+              <TextField
+                placeholder="Values, comma separated"
+                value={action.values}
+                onChange={(e) => updateAction(index, "values", e.target.value)}
+                size="small"
+                sx={{ flex: 1, "& .MuiInputBase-root": inputSx }}
+              />
+            )}
+
+            {/* Parameter and Value Inputs for Parameter Changes */}
+            {action.type === "parameter" && (
+              <>
+                <Select
+                  value={action.parameter}
+                  onChange={(e) =>
+                    updateAction(index, "parameter", e.target.value)
+                  }
+                  displayEmpty
+                  sx={{ ...inputSx, width: "150px" }}
+                >
+                  <MenuItem value="" disabled>
+                    Parameter
+                  </MenuItem>
+                  {parameters.map((p) => (
+                    <MenuItem key={p.name} value={p.name}>
+                      {p.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+                {parameter?.values ? (
+                  <Select
+                    value={action.value}
+                    onChange={(e) =>
+                      updateAction(index, "value", e.target.value)
+                    }
+                    displayEmpty
+                    sx={{ ...inputSx, flex: 1 }}
+                  >
+                    <MenuItem value="" disabled>
+                      Value
+                    </MenuItem>
+                    {parameter.values.map((value) => (
+                      <MenuItem key={value} value={value}>
+                        {value}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                ) : (
+                  <TextField
+                    placeholder="Value"
+                    value={action.value}
+                    onChange={(e) =>
+                      updateAction(index, "value", e.target.value)
+                    }
+                    size="small"
+                    sx={{ flex: 1, "& .MuiInputBase-root": inputSx }}
+                  />
+                )}
+              </>
+            )}
+
+            {/* Checkbox to Revert the Action When the Step Is Left */}
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={action.revert}
+                  onChange={(e) =>
+                    updateAction(index, "revert", e.target.checked)
+                  }
+                />
+              }
+              label="Revert"
+              sx={{ mr: 0, whiteSpace: "nowrap" }}
+            />
+
+            {/* Button to Remove the Action */}
+            <IconButton
+              color="error"
+              size="small"
+              aria-label="Remove action"
+              onClick={() => onChange(list.filter((_, i) => i !== index))}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        );
+      })}
+
+      {/* Button to Add a New Action */}
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...list, createAction()])}
+        sx={{ mt: 0.5 }}
+      >
+        Add Action
+      </Button>
+    </Box>
+  );
+};
+
+export default StepActionsEditor; // Export the StepActionsEditor component as default
@@ -0,0 +1,159 @@
+// Import Material-UI components and icons
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PropTypes from "prop-types";
+
+import { createTarget } from "../utils/layout";
+
+// Shared sizing for the compact inputs on each highlight line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+// Fields of a region, in the order they are shown
+const REGION_FIELDS = [
+  { key: "x", label: "X" },
+  { key: "y", label: "Y" },
+  { key: "width", label: "Width" },
+  { key: "height", label: "Height" },
+];
+
+/**
+ * Renders the four number fields of a region. Empty fields mean no region.
+ * @param {object|null} region - The region being edited.
+ * @param {Function} onChange - Called with the updated region.
+ * @param {string} placeholder - Placeholder shown in empty fields.
+ * @returns {JSX.Element[]} The text fields.
+ */
+const renderRegionFields = (region, onChange, placeholder) =>
+  REGION_FIELDS.map(({ key, label }) => (
+    <TextField
+      key={key}
+      label={label}
+      type="number"
+      value={region?.[key] ?? ""}
+      placeholder={placeholder}
+      onChange={(e) =>
+        onChange({
+          x: "",
+          y: "",
+          width: "",
+          height: "",
+          ...region,
+          [key]: e.target.value,
+        })
+      }
+      InputLabelProps={{ shrink: true }} // Keep the label clear of the placeholder
+      size="small"
+      sx={{ width: "90px", "& .MuiInputBase-root": inputSx }}
+    />
+  ));
+
+/**
+ * TargetsEditor component edits what a step highlights beyond its object: a
+ * region within the object, and extra objects or regions that are cut out of
+ * the overlay too.
+ */
+const TargetsEditor = (props) => {
+  const {
+    region, // Region within the step's object, or null for the whole object
+    targets, // Extra highlights as `{ object, region }`
+    objects, // Dashboard objects to choose from
+    onChange, // Called with the changed properties of the step
+  } = props;
+
+  /**
+   * Updates one of the extra highlights.
+   * @param {number} index - The index of the highlight.
+   * @param {object} changes - The changed properties.
+   */
+  const updateTarget = (index, changes) => {
+    onChange({
+      targets: targets.map((target, i) =>
+        i === index ? { ...target, ...changes } : target
+      ),
+    });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Highlight
+      </Typography>
+
+      {/* Region Within the Step's Object, Relative to Its Top Left Corner */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+        <Typography variant="body2" sx={{ width: "150px" }}>
+          Part of the object
+        </Typography>
+        {renderRegionFields(
+          region,
+          (newRegion) => onChange({ region: newRegion }),
+          "All"
+        )}
+      </Box>
+
+      {/* Extra Objects or Regions Highlighted With the Step */}
+      {targets.map((target, index) => (
+        <Box
+          key={index}
+          sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}
+        >
+          <Select
+            value={target.object}
+            onChange={(e) => updateTarget(index, { object: e.target.value })}
+            displayEmpty
+            sx={{ ...inputSx, width: "150px" }}
+          >
+            <MenuItem value="">Dashboard area</MenuItem>
+            {objects.map((object) => (
+              <MenuItem key={object.id} value={object.id}>
+                {object.name} ({object.type})
+              </MenuItem>
+            ))}
+          </Select>
+          {renderRegionFields(
+            target.region,
+            (newRegion) => updateTarget(index, { region: newRegion }),
+            target.object ? "All" : ""
+          )}
+          <IconButton
+            color="error"
+            onClick={() =>
+              onChange({ targets: targets.filter((_, i) => i !== index) })
+            }
+            aria-label="Remove highlight"
+          >
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+
+      {/* Button to Highlight Another Object or Region */}
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange({ targets: [...targets, createTarget()] })}
+        sx={{ mt: 1 }}
+      >
+        Also highlight
+      </Button>
+    </Box>
+  );
+};
+
+TargetsEditor.propTypes = {
+  region: PropTypes.object,
+  targets: PropTypes.array.isRequired,
+  objects: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default TargetsEditor; // Export the TargetsEditor component as default
@@ -0,0 +1,300 @@
+// Import React hooks, Material-UI components and icons
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  ListSubheader,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from "@mui/material";
+import SaveIcon from "@mui/icons-material/Save";
+import ArrowBackIosNewIcon from "@mui/icons-material/ArrowBackIosNew"; // Back arrow of the preview
+import ArrowForwardIosIcon from "@mui/icons-material/ArrowForwardIos"; // Forward arrow of the preview
+import PropTypes from "prop-types";
+
+import { THEME_PRESETS, TOOLTIP_SHADOWS, getTooltipSx } from "../utils/theme";
+
+// Shared sizing for the compact inputs
+const inputSx = { height: "36px", fontSize: "14px" };
+
+// Color fields, in the order they are shown
+const COLOR_FIELDS = [
+  { key: "tooltipBackground", label: "Tooltip" },
+  { key: "textColor", label: "Text" },
+  { key: "borderColor", label: "Border color" },
+  { key: "navigationColor", label: "Arrows" },
+  { key: "indicatorActiveColor", label: "Active step" },
+  { key: "indicatorColor", label: "Other steps" },
+];
+
+/**
+ * ThemeEditor component edits the colors and sizes of the tooltip, the
+ * navigation arrows and the step indicators, previews them on the overlay,
+ * and applies or saves presets.
+ */
+const ThemeEditor = (props) => {
+  const {
+    value, // The theme being edited
+    onChange, // Called with the updated theme
+    presets, // Presets saved by authors
+    onPresetsChange, // Called with the updated list of saved presets
+    backgroundColor, // Color of the overlay, saved with a preset
+    transparency, // Transparency of the overlay in percent, saved with a preset
+    onApplyPreset, // Called with a preset to apply its theme and overlay
+    fontFamily, // Font of the preview
+  } = props;
+
+  // Name typed into the field for saving the current theme as a preset
+  const [presetName, setPresetName] = useState("");
+
+  /**
+   * Updates a single property of the theme.
+   * @param {string} key - The property to update.
+   * @param {*} newValue - The new value.
+   */
+  const update = (key, newValue) => {
+    onChange({ ...value, [key]: newValue });
+  };
+
+  /**
+   * Handler to apply the preset chosen from the dropdown.
+   * @param {string} name - The name of the preset; built-in names come first.
+   */
+  const handleSelectPreset = (name) => {
+    const preset = [...THEME_PRESETS, ...presets].find((p) => p.name === name);
+    if (preset) onApplyPreset(preset);
+  };
+
+  /**
+   * Handler to save the theme and overlay as a preset, replacing any saved
+   * preset of the same name.
+   */
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onPresetsChange([
+      ...presets.filter((preset) => preset.name !== name),
+      { name, theme: value, backgroundColor, transparency },
+    ]);
+    setPresetName("");
+  };
+
+  /**
+   * Renders a number field for one property of the theme.
+   * @param {string} key - The property to edit.
+   * @param {string} label - The label of the field.
+   * @param {number} min - The smallest allowed value.
+   * @param {number} max - The largest allowed value.
+   * @returns {JSX.Element} The text field.
+   */
+  const renderNumberField = (key, label, min, max) => (
+    <TextField
+      label={label}
+      type="number"
+      value={value[key]}
+      onChange={(e) => update(key, e.target.value)}
+      InputLabelProps={{ shrink: true }}
+      InputProps={{ inputProps: { min, max } }}
+      size="small"
+      sx={{ width: "110px", "& .MuiInputBase-root": inputSx }}
+    />
+  );
+
+  const fontSize = Number(value.fontSize) || 16; // The field may be empty while typing
+
+  return (
+    <Box>
+      {/* Dropdown to Apply a Built-in or Saved Preset */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+        <Select
+          value=""
+          displayEmpty
+          onChange={(e) => handleSelectPreset(e.target.value)}
+          sx={{ ...inputSx, width: "220px" }}
+        >
+          <MenuItem value="" disabled>
+            Apply a preset
+          </MenuItem>
+          <ListSubheader>Built-in</ListSubheader>
+          {THEME_PRESETS.map((preset) => (
+            <MenuItem key={preset.name} value={preset.name}>
+              {preset.name}
+            </MenuItem>
+          ))}
+          {presets.length > 0 && <ListSubheader>Saved</ListSubheader>}
+          {presets
+            .filter((preset) =>
+              THEME_PRESETS.every((builtIn) => builtIn.name !== preset.name)
+            ) // Built-in names win, as the dropdown selects by name
+            .map((preset) => (
+              <MenuItem key={preset.name} value={preset.name}>
+                {preset.name}
+              </MenuItem>
+            ))}
+        </Select>
+
+        {/* Field and Button to Save the Current Theme as a Preset */}
+        <TextField
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") handleSavePreset();
+          }}
+          size="small"
+          inputProps={{ "aria-label": "Preset name" }}
+          sx={{ width: "160px", "& .MuiInputBase-root": inputSx }}
+        />
+        <Button
+          size="small"
+          startIcon={<SaveIcon />}
+          onClick={handleSavePreset}
+          disabled={
+            !presetName.trim() ||
+            THEME_PRESETS.some((preset) => preset.name === presetName.trim())
+          } // Built-in presets cannot be replaced
+        >
+          Save as preset
+        </Button>
+      </Box>
+
+      {/* One Chip per Saved Preset, to Delete It */}
+      {presets.length > 0 && (
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+          {presets.map((preset) => (
+            <Chip
+              key={preset.name}
+              label={preset.name}
+              onDelete={() =>
+                onPresetsChange(presets.filter((p) => p.name !== preset.name))
+              }
+            />
+          ))}
+        </Box>
+      )}
+
+      {/* Colors of the Tooltip, Arrows and Step Indicators */}
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+        {COLOR_FIELDS.map(({ key, label }) => (
+          <TextField
+            key={key}
+            label={label}
+            type="color"
+            value={value[key]}
+            onChange={(e) => update(key, e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            size="small"
+            sx={{ width: "110px", "& .MuiInputBase-root": inputSx }}
+          />
+        ))}
+      </Box>
+
+      {/* Sizes and Shadow of the Tooltip */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+        {renderNumberField("fontSize", "Font size (px)", 10, 32)}
+        {renderNumberField("borderWidth", "Border (px)", 0, 10)}
+        <Select
+          value={value.shadow}
+          onChange={(e) => update("shadow", e.target.value)}
+          inputProps={{ "aria-label": "Shadow" }}
+          sx={{ ...inputSx, width: "130px" }}
+        >
+          {TOOLTIP_SHADOWS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label} shadow
+            </MenuItem>
+          ))}
+        </Select>
+      </Box>
+
+      {/* Preview of the Navigation and Tooltip on the Overlay */}
+      <Box
+        sx={{
+          position: "relative", // Contain the overlay layer
+          width: "420px",
+          p: 2,
+          borderRadius: "4px",
+          overflow: "hidden",
+          border: "1px solid #ccc", // Light border for definition
+        }}
+      >
+        <Box
+          sx={{
+            position: "absolute", // Overlay layer behind the preview
+            inset: 0,
+            backgroundColor,
+            opacity: (Number(transparency) || 0) / 100,
+          }}
+        />
+        <Box
+          sx={{
+            position: "relative", // Above the overlay layer
+            display: "flex",
+            alignItems: "center",
+            gap: "5px",
+            mb: 2,
+            color: value.navigationColor,
+          }}
+        >
+          <ArrowBackIosNewIcon sx={{ fontSize: "20px" }} />
+          {[0, 1, 2].map((index) => (
+            <Box
+              key={index}
+              sx={{
+                width: index === 1 ? "30px" : "12px", // The middle step is active
+                height: "12px",
+                borderRadius: "6px",
+                backgroundColor:
+                  index === 1
+                    ? value.indicatorActiveColor
+                    : value.indicatorColor,
+              }}
+            />
+          ))}
+          <ArrowForwardIosIcon sx={{ fontSize: "20px" }} />
+        </Box>
+        <Box
+          sx={{
+            position: "relative", // Above the overlay layer
+            ...getTooltipSx({
+              ...value,
+              borderWidth: Number(value.borderWidth) || 0,
+            }),
+            padding: "10px",
+            borderRadius: "8px",
+            fontFamily,
+          }}
+        >
+          <Typography
+            sx={{
+              fontFamily,
+              fontWeight: 700,
+              fontSize: `${fontSize * 1.125}px`,
+            }}
+          >
+            Step title
+          </Typography>
+          <Typography sx={{ fontFamily, fontSize: `${fontSize}px` }}>
+            This is how the text of each step looks.
+          </Typography>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+ThemeEditor.propTypes = {
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  presets: PropTypes.array.isRequired,
+  onPresetsChange: PropTypes.func.isRequired,
+  backgroundColor: PropTypes.string,
+  transparency: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  onApplyPreset: PropTypes.func.isRequired,
+  fontFamily: PropTypes.string,
+};
+
+export default ThemeEditor; // Export the ThemeEditor component as default
@@ -0,0 +1,82 @@
+// Import Material-UI components and icons
+import { Box, Button } from "@mui/material";
+import PlayArrowIcon from "@mui/icons-material/PlayArrow"; // Start icon
+import PropTypes from "prop-types";
+
+import { formatString } from "../utils/localization";
+
+/**
+ * TourLauncher component is shown while the tour is closed, in a zone that
+ * collapses around it where Tableau allows. It starts the tour, or resumes
+ * it where the viewer left off and offers to start over.
+ * Any extra controls (such as the tour picker) are passed as children.
+ */
+const TourLauncher = (props) => {
+  const {
+    strings, // Translated labels of the controls
+    resumeStep, // Index of the step to resume from, or null to start afresh
+    onStart, // Called to start the tour from its first step
+    onResume, // Called to resume the tour
+    fontFamily, // Font of the button labels
+    containerRef, // Ref to the launcher, so its size can be measured
+    children, // Extra controls shown after the buttons
+  } = props;
+
+  const canResume = resumeStep !== null && resumeStep !== undefined;
+
+  return (
+    <Box
+      ref={containerRef}
+      sx={{
+        position: "absolute", // Same corner as the tour navigation
+        top: "10px",
+        left: "10px",
+        display: "flex", // Enable flexbox layout
+        gap: "10px", // Space between child elements
+        alignItems: "center", // Vertically center items within the container
+        width: "max-content", // Keep to one line when the zone shrinks around it
+        zIndex: 2, // Above anything else in the extension
+      }}
+    >
+      {/* Button to Start the Tour, or to Resume It */}
+      <Button
+        variant="contained"
+        size="small"
+        startIcon={<PlayArrowIcon />}
+        onClick={canResume ? onResume : onStart}
+        sx={{ fontFamily, textTransform: "none" }} // Keep the translated label as written
+      >
+        {canResume
+          ? formatString(strings.resume, { number: resumeStep + 1 })
+          : strings.takeTour}
+      </Button>
+
+      {/* Button to Start From the First Step Instead of Resuming */}
+      {canResume && (
+        <Button
+          variant="contained"
+          color="inherit"
+          size="small"
+          onClick={onStart}
+          sx={{ fontFamily, textTransform: "none" }}
+        >
+          {strings.startOver}
+        </Button>
+      )}
+
+      {children}
+    </Box>
+  );
+};
+
+TourLauncher.propTypes = {
+  strings: PropTypes.object.isRequired,
+  resumeStep: PropTypes.number,
+  onStart: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  fontFamily: PropTypes.string,
+  containerRef: PropTypes.object,
+  children: PropTypes.node,
+};
+
+export default TourLauncher; // Export the TourLauncher component as default
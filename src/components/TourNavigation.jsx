@@ -0,0 +1,201 @@
+// Import Material-UI components and icons
+import { Box, IconButton, Link } from "@mui/material";
+import ArrowBackIosNewIcon from "@mui/icons-material/ArrowBackIosNew"; // Back arrow icon
+import ArrowForwardIosIcon from "@mui/icons-material/ArrowForwardIos"; // Forward arrow icon
+import PlayArrowIcon from "@mui/icons-material/PlayArrow"; // Play icon for presentation mode
+import PauseIcon from "@mui/icons-material/Pause"; // Pause icon for presentation mode
+import CloseIcon from "@mui/icons-material/Close"; // Close icon to leave the tour
+import PropTypes from "prop-types";
+import { getStepTabId } from "../utils/accessibility";
+import { formatString } from "../utils/localization";
+
+/**
+ * Builds the shared look of the navigation buttons on top of the overlay.
+ * @param {string} color - The navigation color of the theme.
+ * @returns {object} `sx` properties for the buttons.
+ */
+const getButtonSx = (color) => ({
+  color, // Navigation color of the theme
+  padding: "4px", // Padding around the icon
+  "&.Mui-disabled": { color, opacity: 0.4 }, // Dim rather than hide when disabled
+  "&:focus-visible": { outline: `2px solid ${color}` }, // Clear focus ring for keyboard users
+});
+
+/**
+ * TourNavigation component renders the previous/next buttons, the step
+ * indicators as an accessible tablist, the presentation mode button, and the
+ * controls to close the tour. Any extra controls (such as the tour picker)
+ * are passed as children.
+ */
+const TourNavigation = (props) => {
+  const {
+    steps, // Tour items, used for the indicator labels
+    currentStep, // Index of the active step
+    onPrevious, // Called by the back arrow
+    onNext, // Called by the forward arrow
+    onSelectStep, // Called with the index of a clicked indicator
+    nextDisabled, // Whether the forward arrow is inactive
+    playing, // Whether presentation mode is playing
+    onTogglePlay, // Called by the play/pause button
+    controlsId, // Id of the tooltip the indicators control
+    strings, // Translated labels of the controls
+    theme, // Colors of the buttons and indicators
+    onClose, // Called by the close button
+    onHide, // Called by the "don't show again" link
+    children, // Extra controls shown after the buttons
+  } = props;
+
+  /**
+   * Handler for Home and End inside the tablist; the arrow keys are handled
+   * by the tour itself so they work wherever focus is.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  const handleTabKeyDown = (event) => {
+    const lastIndex = steps.length - 1;
+    if (event.key === "Home" || event.key === "End") {
+      event.preventDefault();
+      const index = event.key === "Home" ? 0 : lastIndex;
+      onSelectStep(index);
+      document.getElementById(getStepTabId(index))?.focus();
+    }
+  };
+
+  const PlayPauseIcon = playing ? PauseIcon : PlayArrowIcon;
+  const buttonSx = getButtonSx(theme.navigationColor);
+
+  return (
+    <Box
+      component="nav"
+      aria-label={strings.navigation}
+      sx={{
+        position: "absolute", // Absolutely position the navigation container
+        top: "10px", // 10px from the top
+        left: "10px", // 10px from the left
+        display: "flex", // Enable flexbox layout
+        gap: "10px", // Space between child elements
+        alignItems: "center", // Vertically center items within the container
+        zIndex: 2, // Higher z-index to appear above grey boxes
+      }}
+    >
+      {/* Back Arrow Button */}
+      <IconButton
+        aria-label={strings.previous}
+        onClick={onPrevious}
+        sx={buttonSx}
+      >
+        <ArrowBackIosNewIcon sx={{ fontSize: "20px" }} />
+      </IconButton>
+
+      {/* Tour Item Indicators, exposed to assistive technology as tabs */}
+      <Box
+        role="tablist"
+        aria-label={strings.steps}
+        onKeyDown={handleTabKeyDown}
+        sx={{
+          display: "flex", // Enable flexbox layout
+          gap: "5px", // Space between circles
+          alignItems: "center", // Vertically center circles
+        }}
+      >
+        {steps.map((step, index) => (
+          <Box
+            component="button"
+            type="button"
+            role="tab"
+            key={index} // Unique key for each circle
+            id={getStepTabId(index)}
+            aria-selected={currentStep === index}
+            aria-controls={controlsId}
+            aria-label={`${formatString(strings.step, { number: index + 1 })}${
+              step.title ? `: ${step.title}` : ""
+            }`}
+            tabIndex={currentStep === index ? 0 : -1} // Only the active tab is in the tab order
+            onClick={() => onSelectStep(index)} // Jump to the clicked step
+            sx={{
+              width: currentStep === index ? "30px" : "12px", // Larger circle if active
+              height: "12px", // Circle height
+              padding: 0, // Reset the native button padding
+              border: "none", // Reset the native button border
+              borderRadius: "6px", // Make the box a circle or oval
+              backgroundColor:
+                currentStep === index
+                  ? theme.indicatorActiveColor
+                  : theme.indicatorColor, // Colors of the theme
+              transition: "all 0.3s ease", // Smooth transition for size and color changes
+              cursor: "pointer", // Pointer cursor on hover
+              "&:focus-visible": {
+                outline: `2px solid ${theme.indicatorActiveColor}`,
+                outlineOffset: "2px",
+              }, // Focus ring
+              "@media (prefers-reduced-motion: reduce)": { transition: "none" }, // Respect reduced motion
+            }}
+          />
+        ))}
+      </Box>
+
+      {/* Forward Arrow Button, inactive while an interactive step waits */}
+      <IconButton
+        aria-label={strings.next}
+        onClick={onNext}
+        disabled={nextDisabled}
+        sx={buttonSx}
+      >
+        <ArrowForwardIosIcon sx={{ fontSize: "20px" }} />
+      </IconButton>
+
+      {/* Play/Pause Button for Presentation Mode */}
+      <IconButton
+        aria-label={playing ? strings.pause : strings.play}
+        onClick={onTogglePlay} // Start, pause or resume presentation mode
+        onPointerDown={(e) => e.stopPropagation()} // Not an interaction that pauses playback
+        onKeyDown={(e) => {
+          // Likewise for Enter and Space, which also activate the button
+          if (e.key === "Enter" || e.key === " ") e.stopPropagation();
+        }}
+        sx={buttonSx}
+      >
+        <PlayPauseIcon sx={{ fontSize: "24px" }} />
+      </IconButton>
+
+      {children}
+
+      {/* Close Button and Link to Stop the Tour From Opening by Itself */}
+      <IconButton aria-label={strings.close} onClick={onClose} sx={buttonSx}>
+        <CloseIcon sx={{ fontSize: "22px" }} />
+      </IconButton>
+      <Link
+        component="button"
+        variant="body2"
+        onClick={onHide}
+        sx={{
+          color: theme.navigationColor, // Same color as the buttons
+          textDecorationColor: "currentColor",
+          "&:focus-visible": {
+            outline: `2px solid ${theme.navigationColor}`,
+          }, // Clear focus ring
+        }}
+      >
+        {strings.dontShowAgain}
+      </Link>
+    </Box>
+  );
+};
+
+TourNavigation.propTypes = {
+  steps: PropTypes.array.isRequired,
+  currentStep: PropTypes.number.isRequired,
+  onPrevious: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onSelectStep: PropTypes.func.isRequired,
+  nextDisabled: PropTypes.bool,
+  playing: PropTypes.bool,
+  onTogglePlay: PropTypes.func.isRequired,
+  controlsId: PropTypes.string,
+  strings: PropTypes.object.isRequired,
+  theme: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onHide: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
+
+export default TourNavigation; // Export the TourNavigation component as default
@@ -0,0 +1,50 @@
+// Import Material-UI components
+import { Box, MenuItem, Select, Typography } from "@mui/material";
+
+/**
+ * TourPicker component lets the viewer choose which named tour to run.
+ * Each option shows the tour's name and, when set, its description.
+ */
+// eslint-disable-next-line react/prop-types
+const TourPicker = ({ tours, value, onChange, fontFamily, label }) => {
+  return (
+    <Select
+      value={value} // Index of the active tour
+      onChange={(e) => onChange(e.target.value)}
+      size="small"
+      inputProps={{ "aria-label": label }} // Translated label of the picker
+      // eslint-disable-next-line react/prop-types
+      renderValue={(index) => tours[index]?.name} // Show only the name when closed
+      sx={{
+        height: "28px", // Compact height to sit beside the navigation arrows
+        minWidth: "160px", // Leave room for typical tour names
+        backgroundColor: "rgba(255, 255, 255, 0.9)", // Readable on dark overlays
+        fontFamily, // Apply the selected font
+        fontSize: "14px", // Small text to match the navigation bar
+      }}
+    >
+      {/* eslint-disable-next-line react/prop-types */}
+      {tours.map((tour, index) => (
+        <MenuItem key={index} value={index}>
+          <Box>
+            <Typography variant="body2" sx={{ fontFamily }}>
+              {tour.name}
+            </Typography>
+            {tour.description && (
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ fontFamily, display: "block", maxWidth: "280px" }}
+                noWrap
+              >
+                {tour.description}
+              </Typography>
+            )}
+          </Box>
+        </MenuItem>
+      ))}
+    </Select>
+  );
+};
+
+export default TourPicker; // Export the TourPicker component as default
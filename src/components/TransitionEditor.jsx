@@ -0,0 +1,97 @@
+// Import Material-UI components
+import { Box, MenuItem, Select, TextField, Typography } from "@mui/material";
+import PropTypes from "prop-types";
+
+import {
+  SPOTLIGHT_TRANSITIONS,
+  TOOLTIP_TRANSITIONS,
+  TRANSITION_EASINGS,
+} from "../utils/transitions";
+
+// Shared sizing for the compact inputs on the transition line
+const inputSx = { height: "36px", fontSize: "14px" };
+
+/**
+ * TransitionEditor component edits the transition into a step: how the
+ * spotlight moves, how the tooltip appears, and their duration and easing.
+ * Given `defaults`, it edits a step's overrides instead, where an empty field
+ * uses the default.
+ */
+const TransitionEditor = (props) => {
+  const {
+    value, // The transition or overrides being edited
+    onChange, // Called with the updated transition
+    defaults, // The general transition, when editing a step's overrides
+  } = props;
+
+  /**
+   * Updates a single property of the transition.
+   * @param {string} key - The property to update.
+   * @param {string} newValue - The new value.
+   */
+  const update = (key, newValue) => {
+    onChange({ ...value, [key]: newValue });
+  };
+
+  /**
+   * Renders a dropdown for one property of the transition.
+   * @param {string} key - The property to edit.
+   * @param {string} label - Name of the property, for the default option and screen readers.
+   * @param {Array<object>} options - The options to choose from.
+   * @param {string} width - Width of the dropdown.
+   * @returns {JSX.Element} The dropdown.
+   */
+  const renderSelect = (key, label, options, width) => (
+    <Select
+      value={value[key]}
+      onChange={(e) => update(key, e.target.value)}
+      displayEmpty
+      inputProps={{ "aria-label": label }}
+      sx={{ ...inputSx, width }}
+    >
+      {defaults && <MenuItem value="">Default {label.toLowerCase()}</MenuItem>}
+      {options.map((option) => (
+        <MenuItem key={option.value} value={option.value}>
+          {label}: {option.label}
+        </MenuItem>
+      ))}
+    </Select>
+  );
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Transition
+        {defaults ? " into this step (empty uses the General tab)" : ""}
+      </Typography>
+
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+        {renderSelect("spotlight", "Spotlight", SPOTLIGHT_TRANSITIONS, "230px")}
+        {renderSelect("tooltip", "Tooltip", TOOLTIP_TRANSITIONS, "170px")}
+
+        {/* Duration of Each Part of the Transition */}
+        <TextField
+          label="Duration (ms)"
+          type="number"
+          value={value.duration}
+          placeholder={defaults ? String(defaults.duration) : undefined} // Shows the inherited value
+          onChange={(e) => update("duration", e.target.value)}
+          InputLabelProps={{ shrink: true }} // Keep the label clear of the placeholder
+          InputProps={{ inputProps: { min: 0, max: 3000, step: 50 } }}
+          size="small"
+          sx={{ width: "120px", "& .MuiInputBase-root": inputSx }}
+        />
+
+        {renderSelect("easing", "Easing", TRANSITION_EASINGS, "230px")}
+      </Box>
+    </Box>
+  );
+};
+
+TransitionEditor.propTypes = {
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  defaults: PropTypes.object,
+};
+
+export default TransitionEditor; // Export the TransitionEditor component as default
@@ -0,0 +1,69 @@
+// Import Material-UI components
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from "@mui/material";
+import PropTypes from "prop-types";
+
+/**
+ * TranslationImportDialog component shows what an imported translation table
+ * contains and lets the author apply or abandon it.
+ */
+const TranslationImportDialog = (props) => {
+  const {
+    report, // Report from importTranslationTable, or null when closed
+    error, // Message shown instead of the report when the file was rejected
+    onApply, // Called to apply the translations
+    onClose, // Called to abandon the import
+  } = props;
+
+  return (
+    <Dialog open={Boolean(report || error)} onClose={onClose} fullWidth>
+      <DialogTitle>Import Translations</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {report && (
+          <>
+            <Typography variant="body2">
+              {report.strings} string(s) in {report.languages.join(", ")}. Empty
+              cells remove a translation. Nothing is saved until you click Save.
+            </Typography>
+
+            {/* Keys That Match No Tour, Step or Control in This Dialog */}
+            {report.unknownKeys.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {report.unknownKeys.length} row(s) match nothing in these tours
+                and are ignored, for example after steps were added or removed:{" "}
+                {report.unknownKeys.slice(0, 10).join(", ")}
+                {report.unknownKeys.length > 10 ? ", …" : ""}
+              </Alert>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {report && (
+          <Button variant="contained" onClick={onApply}>
+            Import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+TranslationImportDialog.propTypes = {
+  report: PropTypes.object,
+  error: PropTypes.string,
+  onApply: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default TranslationImportDialog; // Export the TranslationImportDialog component as default
@@ -0,0 +1,76 @@
+// Import Material-UI components
+import { Box, TextField, Typography } from "@mui/material";
+import PropTypes from "prop-types";
+
+/**
+ * TranslationsEditor component edits the translations of a step or tour, one
+ * line per language other than the default. Empty fields show the text in the
+ * default language, which viewers see instead.
+ */
+const TranslationsEditor = (props) => {
+  const {
+    value, // Translations by language, each with the translated fields
+    onChange, // Called with the updated translations
+    languages, // All configured languages
+    defaultLanguage, // Language of the untranslated text
+    fields, // Fields to translate, as `{ key, label, multiline }`
+    source, // The step or tour, for the default-language placeholders
+  } = props;
+
+  const otherLanguages = languages.filter((l) => l !== defaultLanguage);
+  if (otherLanguages.length === 0) return null;
+
+  /**
+   * Updates one translated field.
+   * @param {string} language - The language of the translation.
+   * @param {string} key - The field to update.
+   * @param {string} text - The translated text.
+   */
+  const update = (language, key, text) => {
+    onChange({ ...value, [language]: { ...value[language], [key]: text } });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        Translations
+      </Typography>
+
+      {otherLanguages.map((language) => (
+        <Box
+          key={language}
+          sx={{ display: "flex", alignItems: "flex-start", gap: 1, mt: 1 }}
+        >
+          <Typography variant="body2" sx={{ width: "50px", pt: 1 }}>
+            {language}
+          </Typography>
+          {fields.map(({ key, label, multiline }) => (
+            <TextField
+              key={key}
+              label={label}
+              value={value[language]?.[key] || ""}
+              placeholder={source[key]} // The default-language text shown when empty
+              onChange={(e) => update(language, key, e.target.value)}
+              InputLabelProps={{ shrink: true }} // Keep the label clear of the placeholder
+              multiline={multiline}
+              maxRows={6}
+              size="small"
+              sx={{ flex: multiline ? 2 : 1 }}
+            />
+          ))}
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+TranslationsEditor.propTypes = {
+  value: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  languages: PropTypes.array.isRequired,
+  defaultLanguage: PropTypes.string.isRequired,
+  fields: PropTypes.array.isRequired,
+  source: PropTypes.object.isRequired,
+};
+
+export default TranslationsEditor; // Export the TranslationsEditor component as default
@@ -0,0 +1,60 @@
+// Elements that can receive keyboard focus
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+/**
+ * Keeps Tab and Shift+Tab cycling through the focusable elements of a
+ * container. Call it from the container's keydown handler.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {HTMLElement} container - The element focus should stay inside.
+ */
+export const trapFocus = (event, container) => {
+  if (event.key !== "Tab" || !container) return;
+
+  const focusable = [...container.querySelectorAll(FOCUSABLE_SELECTOR)];
+
+  // With nothing to cycle through, keep focus on the container itself
+  if (focusable.length === 0) {
+    event.preventDefault();
+    container.focus();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (event.shiftKey && (active === first || active === container)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+};
+
+// Styles that hide content visually while keeping it available to screen readers
+export const visuallyHidden = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  padding: 0,
+  margin: "-1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+/**
+ * Builds the DOM id of the indicator tab for a step.
+ * @param {number} index - The index of the step.
+ * @returns {string} The id of the tab.
+ */
+export const getStepTabId = (index) => `tour-step-tab-${index}`;
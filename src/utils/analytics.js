@@ -0,0 +1,225 @@
+/**
+ * Analytics events of the tour, so authors can see whether viewers start and
+ * finish it. The tour emits an event whenever a viewer starts a tour, leaves
+ * a step (with the time spent on it), skips an interactive step, reaches the
+ * last step or closes the tour before that. Every registered sink receives:
+ * { type, time, sessionId, dashboard, tour, tourVersion, language,
+ *   stepId, stepIndex, stepCount, stepTitle, dwellMs }
+ * where `stepId` is saved with the step and survives reordering, and the step
+ * fields are empty for events that concern the whole tour.
+ *
+ * The general settings choose the built-in sinks:
+ *   analytics: { console, endpoint, summary }
+ * Other sinks can be added with registerAnalyticsSink.
+ */
+
+// Types of events, in the order they usually occur
+export const ANALYTICS_EVENTS = {
+  tourStarted: "tour_started",
+  stepViewed: "step_viewed",
+  stepSkipped: "step_skipped",
+  tourCompleted: "tour_completed",
+  tourAbandoned: "tour_abandoned",
+};
+
+// Identifies the events of one page load, so a viewer's path can be followed
+const SESSION_ID = `${Date.now().toString(36)}${Math.random()
+  .toString(36)
+  .slice(2, 8)}`;
+
+// Functions that receive every event
+const sinks = new Set();
+
+/**
+ * Creates the analytics settings used when nothing has been saved: only the
+ * summary that authors can view in the configuration dialog.
+ * @returns {object} The default analytics settings.
+ */
+export const createDefaultAnalytics = () => ({
+  console: false, // Log every event to the browser console
+  endpoint: "", // URL that receives every event as a JSON POST request
+  summary: true, // Count events in this browser for the configuration dialog
+});
+
+/**
+ * Validates the analytics settings, replacing anything invalid with defaults.
+ * @param {*} value - The analytics settings as read from the document.
+ * @returns {object} Valid analytics settings.
+ */
+export const validateAnalytics = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const defaults = createDefaultAnalytics();
+  const endpoint =
+    typeof source.endpoint === "string" ? source.endpoint.trim() : "";
+
+  return {
+    console:
+      typeof source.console === "boolean" ? source.console : defaults.console,
+    endpoint: /^(https?:\/\/|\/)/i.test(endpoint) ? endpoint : "", // Absolute or relative to the extension's server
+    summary:
+      typeof source.summary === "boolean" ? source.summary : defaults.summary,
+  };
+};
+
+/**
+ * Adds a sink that receives every event from now on.
+ * @param {function(object): void} sink - Called with each event.
+ * @returns {function(): void} Removes the sink again.
+ */
+export const registerAnalyticsSink = (sink) => {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+};
+
+/**
+ * Emits an event to every registered sink. A failing sink never stops the
+ * tour or the other sinks.
+ * @param {string} type - One of the ANALYTICS_EVENTS values.
+ * @param {object} details - The tour and step the event concerns.
+ */
+export const trackEvent = (type, details) => {
+  if (sinks.size === 0) return;
+
+  const event = {
+    type,
+    time: new Date().toISOString(),
+    sessionId: SESSION_ID,
+    dashboard: window.tableau.extensions.dashboardContent.dashboard.name,
+    stepId: "",
+    stepIndex: null,
+    stepCount: null,
+    stepTitle: "",
+    dwellMs: null,
+    ...details,
+  };
+  sinks.forEach((sink) => {
+    try {
+      sink(event);
+    } catch (error) {
+      console.warn("A tour analytics sink failed:", error);
+    }
+  });
+};
+
+/**
+ * Creates a sink that logs every event to the browser console.
+ * @returns {function(object): void} The sink.
+ */
+export const createConsoleSink = () => (event) => {
+  console.info("Tour analytics:", event);
+};
+
+/**
+ * Creates a sink that sends every event to an HTTP endpoint as the JSON body
+ * of a POST request. Requests are kept alive, so events sent as the page
+ * closes still arrive. A server on another origin must allow the request
+ * with CORS headers.
+ * @param {string} endpoint - The URL that receives the events.
+ * @returns {function(object): void} The sink.
+ */
+export const createHttpSink = (endpoint) => {
+  let warned = false; // Warn once rather than for every event
+
+  return (event) => {
+    fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(event),
+      keepalive: true,
+    }).catch((error) => {
+      if (!warned) console.warn(`Tour analytics to ${endpoint} failed:`, error);
+      warned = true;
+    });
+  };
+};
+
+/**
+ * Builds the local storage key of the summary of this extension instance, so
+ * several tour extensions on one dashboard keep separate summaries, like progress.
+ * @returns {string} The local storage key.
+ */
+const getSummaryKey = () => {
+  const extensions = window.tableau.extensions;
+  const dashboard = extensions.dashboardContent.dashboard;
+  return `tableau-tour-analytics:${dashboard.name}:${
+    extensions.dashboardObjectId ?? ""
+  }`;
+};
+
+/**
+ * Reads the summary kept in this browser:
+ * { since, tours: { [tour]: { started, completed, abandoned,
+ *   steps: { [stepId]: { title, views, skips, dwellMs } } } } }
+ * @returns {object} The summary, empty if nothing was recorded.
+ */
+export const loadAnalyticsSummary = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(getSummaryKey()));
+    if (saved && typeof saved === "object" && saved.tours) return saved;
+  } catch {
+    // Local storage is blocked; there is no summary
+  }
+  return { since: null, tours: {} };
+};
+
+/**
+ * Deletes the summary kept in this browser.
+ */
+export const clearAnalyticsSummary = () => {
+  try {
+    window.localStorage.removeItem(getSummaryKey());
+  } catch {
+    // Local storage is blocked; there is nothing to delete
+  }
+};
+
+/**
+ * Creates a sink that counts events in this browser's local storage, for the
+ * summary in the configuration dialog.
+ * @returns {function(object): void} The sink.
+ */
+export const createSummarySink = () => (event) => {
+  const summary = loadAnalyticsSummary();
+  summary.since = summary.since || event.time;
+  const tour = (summary.tours[event.tour] = summary.tours[event.tour] || {
+    started: 0,
+    completed: 0,
+    abandoned: 0,
+    steps: {},
+  });
+
+  if (event.type === ANALYTICS_EVENTS.tourStarted) tour.started += 1;
+  if (event.type === ANALYTICS_EVENTS.tourCompleted) tour.completed += 1;
+  if (event.type === ANALYTICS_EVENTS.tourAbandoned) tour.abandoned += 1;
+  if (event.stepId) {
+    const step = (tour.steps[event.stepId] = tour.steps[event.stepId] || {
+      title: "",
+      views: 0,
+      skips: 0,
+      dwellMs: 0,
+    });
+    step.title = event.stepTitle || step.title;
+    if (event.type === ANALYTICS_EVENTS.stepViewed) {
+      step.views += 1;
+      step.dwellMs += event.dwellMs || 0;
+    }
+    if (event.type === ANALYTICS_EVENTS.stepSkipped) step.skips += 1;
+  }
+
+  try {
+    window.localStorage.setItem(getSummaryKey(), JSON.stringify(summary));
+  } catch {
+    // Local storage is blocked; the summary is not kept
+  }
+};
+
+/**
+ * Creates the built-in sinks chosen in the analytics settings.
+ * @param {object} analytics - Valid analytics settings.
+ * @returns {Array<function(object): void>} The sinks.
+ */
+export const createConfiguredSinks = (analytics) => [
+  ...(analytics.console ? [createConsoleSink()] : []),
+  ...(analytics.endpoint ? [createHttpSink(analytics.endpoint)] : []),
+  ...(analytics.summary ? [createSummarySink()] : []),
+];
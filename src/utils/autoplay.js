@@ -0,0 +1,23 @@
+// Seconds a step stays on screen in presentation mode when no duration is set
+export const DEFAULT_STEP_DURATION = 8;
+
+/**
+ * Parses a duration in seconds as entered in the configuration dialog.
+ * @param {string|number} value - The saved or entered duration.
+ * @returns {number|null} A positive number of seconds, or null when unset or invalid.
+ */
+export const parseDuration = (value) => {
+  const seconds = parseFloat(value);
+  return !isNaN(seconds) && seconds > 0 ? seconds : null;
+};
+
+/**
+ * Works out how long a step stays on screen in presentation mode.
+ * @param {object} item - The tour item.
+ * @param {number} defaultDuration - The global default duration in seconds.
+ * @returns {number} The duration in milliseconds.
+ */
+export const getStepDurationMs = (item, defaultDuration) =>
+  (parseDuration(item?.duration) ||
+    parseDuration(defaultDuration) ||
+    DEFAULT_STEP_DURATION) * 1000;
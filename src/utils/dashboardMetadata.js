@@ -0,0 +1,59 @@
+/**
+ * Collects the worksheets, fields and parameters of a dashboard so the
+ * configuration dialog can offer them as choices.
+ * @param {object} dashboard - The Tableau dashboard.
+ * @returns {Promise<object>} `{ worksheets: [{ name, fields, filters }], parameters: [{ name, values }] }`
+ * where `filters` lists the fields filtered on the worksheet and `values` lists
+ * the allowable values of list parameters and is null otherwise.
+ */
+export const loadDashboardMetadataAsync = async (dashboard) => {
+  const tableau = window.tableau;
+
+  // Gather the field names of each worksheet from its data sources and filters
+  const worksheets = await Promise.all(
+    dashboard.worksheets.map(async (worksheet) => {
+      const fieldNames = new Set();
+      const filterNames = new Set();
+
+      try {
+        const dataSources = await worksheet.getDataSourcesAsync();
+        dataSources.forEach((dataSource) =>
+          dataSource.fields.forEach((field) => fieldNames.add(field.name))
+        );
+
+        const filters = await worksheet.getFiltersAsync();
+        filters.forEach((filter) => {
+          fieldNames.add(filter.fieldName);
+          filterNames.add(filter.fieldName);
+        });
+      } catch (error) {
+        console.error(`Error reading fields of "${worksheet.name}":`, error);
+      }
+
+      return {
+        name: worksheet.name,
+        fields: [...fieldNames].sort(),
+        filters: [...filterNames].sort(),
+      };
+    })
+  );
+
+  // Gather the parameters, including the allowable values of list parameters
+  let parameters = [];
+  try {
+    const dashboardParameters = await dashboard.getParametersAsync();
+    parameters = dashboardParameters.map((parameter) => ({
+      name: parameter.name,
+      values:
+        parameter.allowableValues.type === tableau.ParameterValueType.List
+          ? parameter.allowableValues.allowableValues.map(
+              (value) => value.formattedValue
+            )
+          : null,
+    }));
+  } catch (error) {
+    console.error("Error reading dashboard parameters:", error);
+  }
+
+  return { worksheets, parameters };
+};
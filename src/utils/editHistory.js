@@ -0,0 +1,86 @@
+/**
+ * Undo and redo for the configuration dialog. The history holds snapshots of
+ * everything the author can edit, serialised as JSON so they are compared and
+ * restored cheaply:
+ * { initial, past: [snapshot], present, future: [snapshot], changedAt }
+ * where `initial` is the snapshot the dialog opened with, used to tell
+ * whether there are unsaved changes.
+ */
+
+// Most edits kept for undo; older ones are dropped, since embedded images make snapshots large
+const MAX_HISTORY = 50;
+
+// Changes closer together than this are undone together, so typing a word is one edit
+const COALESCE_MS = 600;
+
+/**
+ * Creates the history of a dialog that has just been filled.
+ * @param {string} snapshot - The serialised state the dialog opened with.
+ * @returns {object} A history with nothing to undo or redo.
+ */
+export const createEditHistory = (snapshot) => ({
+  initial: snapshot,
+  past: [],
+  present: snapshot,
+  future: [],
+  changedAt: 0,
+});
+
+/**
+ * Records the state after an edit. Restoring a snapshot with undo or redo
+ * records nothing, since the history already points at it.
+ * @param {object} history - The history.
+ * @param {string} snapshot - The serialised state after the edit.
+ * @param {number} now - The time of the edit, in milliseconds.
+ * @returns {object} The updated history.
+ */
+export const recordEdit = (history, snapshot, now) => {
+  if (snapshot === history.present) return history;
+
+  // A quick follow-up edit replaces the present instead of adding an undo step
+  if (history.past.length > 0 && now - history.changedAt < COALESCE_MS) {
+    return { ...history, present: snapshot, future: [], changedAt: now };
+  }
+
+  return {
+    ...history,
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: snapshot,
+    future: [],
+    changedAt: now,
+  };
+};
+
+/**
+ * Steps back to the state before the last edit.
+ * @param {object} history - The history, with something to undo.
+ * @returns {object} The updated history; its `present` is the state to restore.
+ */
+export const undoEdit = (history) => ({
+  ...history,
+  past: history.past.slice(0, -1),
+  present: history.past[history.past.length - 1],
+  future: [history.present, ...history.future],
+  changedAt: 0, // The next edit starts a new undo step
+});
+
+/**
+ * Steps forward to the state of the last undone edit.
+ * @param {object} history - The history, with something to redo.
+ * @returns {object} The updated history; its `present` is the state to restore.
+ */
+export const redoEdit = (history) => ({
+  ...history,
+  past: [...history.past, history.present],
+  present: history.future[0],
+  future: history.future.slice(1),
+  changedAt: 0,
+});
+
+/**
+ * Tells whether the state differs from the one the dialog opened with.
+ * @param {object|null} history - The history, or null before the dialog is filled.
+ * @returns {boolean} True if there are unsaved changes.
+ */
+export const hasUnsavedEdits = (history) =>
+  Boolean(history) && history.present !== history.initial;
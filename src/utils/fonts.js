@@ -0,0 +1,227 @@
+/**
+ * Fonts of the tour text. Google Fonts need internet access, which many
+ * Tableau Server installations do not have, so the font can also come from
+ * the system, from a font file hosted with the extension or embedded in the
+ * settings, or from a font installed on the viewers' computers. Saved in the
+ * general settings as
+ *   font: { family, source, url, fallback }
+ * where `url` is only used by hosted fonts and `fallback` is the CSS font
+ * list used while the font loads or when it cannot be loaded.
+ */
+
+// Where the font comes from
+export const FONT_SOURCES = [
+  { value: "google", label: "Google Fonts (needs internet access)" },
+  { value: "system", label: "System font stack (always available)" },
+  { value: "hosted", label: "Font file hosted with the extension" },
+  { value: "installed", label: "Font installed on viewers' computers" },
+];
+
+// Google Fonts offered in the configuration dialog
+export const GOOGLE_FONTS = [
+  "Roboto",
+  "Open Sans",
+  "Lato",
+  "Montserrat",
+  "Source Sans Pro",
+  "Slabo 27px",
+  "Oswald",
+  "Raleway",
+  "Merriweather",
+  "Ubuntu",
+];
+
+// Font stacks built from the fonts each operating system ships with
+export const SYSTEM_FONT_STACKS = [
+  {
+    value: "System UI",
+    stack:
+      'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+  },
+  {
+    value: "Sans-serif",
+    stack: '"Helvetica Neue", Helvetica, Arial, "Liberation Sans", sans-serif',
+  },
+  {
+    value: "Serif",
+    stack: 'Georgia, Cambria, "Times New Roman", Times, serif',
+  },
+  {
+    value: "Monospace",
+    stack: 'ui-monospace, Consolas, "Liberation Mono", Menlo, monospace',
+  },
+];
+
+// Fonts used while the chosen font loads, or when it cannot be loaded
+export const DEFAULT_FONT_FALLBACK = "Arial, sans-serif";
+
+// Font files that browsers can load, and the largest one that may be embedded
+export const FONT_FILE_TYPES = ".woff2,.woff,.ttf,.otf";
+export const MAX_EMBEDDED_FONT_BYTES = 500 * 1024;
+
+// How long to wait for a font before reporting that it failed
+const FONT_LOAD_TIMEOUT_MS = 8000;
+
+// ID of the link tag that loads Google Fonts
+const GOOGLE_FONT_LINK_ID = "google-font-link";
+
+/**
+ * Creates the font used when nothing has been saved.
+ * @returns {object} The default font settings.
+ */
+export const createDefaultFont = () => ({
+  family: "Roboto",
+  source: "google",
+  url: "",
+  fallback: DEFAULT_FONT_FALLBACK,
+});
+
+/**
+ * Validates the font settings, replacing anything invalid with defaults.
+ * @param {*} value - The font settings as read from the document.
+ * @returns {object} Valid font settings.
+ */
+export const validateFont = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const defaults = createDefaultFont();
+  const family =
+    typeof source.family === "string" && source.family.trim()
+      ? source.family.trim()
+      : defaults.family;
+
+  return {
+    family,
+    source: FONT_SOURCES.some((s) => s.value === source.source)
+      ? source.source
+      : defaults.source,
+    url: typeof source.url === "string" ? source.url.trim() : "",
+    fallback:
+      typeof source.fallback === "string" && source.fallback.trim()
+        ? source.fallback.trim()
+        : defaults.fallback,
+  };
+};
+
+/**
+ * Builds the CSS font-family of the tour text: the chosen font followed by
+ * its fallback chain, or the stack of a system font.
+ * @param {object} font - Valid font settings.
+ * @returns {string} The CSS font-family value.
+ */
+export const getFontFamily = (font) => {
+  if (font.source === "system") {
+    const stack = SYSTEM_FONT_STACKS.find((s) => s.value === font.family);
+    if (stack) return stack.stack;
+  }
+  return `"${font.family.replace(/"/g, "")}", ${font.fallback}`;
+};
+
+/**
+ * Tells whether the browser renders a font family, by comparing the width of
+ * a sample text against generic fonts. A family that is not available falls
+ * back to the generic font and measures the same.
+ * @param {string} family - The font family name.
+ * @returns {boolean} True if the family is available.
+ */
+const isFontRendered = (family) => {
+  const context = document.createElement("canvas").getContext("2d");
+  if (!context) return true; // Cannot tell; assume the best
+  const sample = "mmmmmmmmmmlli1WQ@#";
+
+  return ["monospace", "serif", "sans-serif"].some((generic) => {
+    context.font = `72px ${generic}`;
+    const genericWidth = context.measureText(sample).width;
+    context.font = `72px "${family.replace(/"/g, "")}", ${generic}`;
+    return context.measureText(sample).width !== genericWidth;
+  });
+};
+
+/**
+ * Rejects after the font load timeout, so an unreachable server cannot keep
+ * the status pending forever.
+ * @returns {Promise<never>} A promise that rejects after the timeout.
+ */
+const timeout = () =>
+  new Promise((resolve, reject) =>
+    setTimeout(
+      () => reject(new Error("Timed out loading the font")),
+      FONT_LOAD_TIMEOUT_MS
+    )
+  );
+
+/**
+ * Adds the Google Fonts stylesheet of a family to the page, replacing the
+ * stylesheet of a previous font, and waits for it to load.
+ * @param {string} family - The Google Fonts family name.
+ * @returns {Promise<void>} Resolves once the stylesheet has loaded.
+ */
+const loadGoogleStylesheetAsync = (family) =>
+  new Promise((resolve, reject) => {
+    document.getElementById(GOOGLE_FONT_LINK_ID)?.remove();
+
+    const link = document.createElement("link");
+    link.id = GOOGLE_FONT_LINK_ID;
+    link.rel = "stylesheet";
+    // Construct the Google Fonts URL with the family, replacing spaces with '+'
+    link.href = `https://fonts.googleapis.com/css2?family=${family.replace(
+      / /g,
+      "+"
+    )}:wght@400;700&display=swap`;
+    link.onload = () => resolve();
+    link.onerror = () => reject(new Error("Google Fonts could not be reached"));
+    document.head.appendChild(link);
+  });
+
+/**
+ * Loads the font of the tour text and reports whether it can be shown. The
+ * text uses the fallback chain while the font loads and if it fails.
+ * @param {object} font - Valid font settings.
+ * @returns {Promise<boolean>} True if the font is available.
+ */
+export const loadFontAsync = async (font) => {
+  try {
+    if (font.source === "system") return true;
+
+    if (font.source === "google") {
+      await Promise.race([loadGoogleStylesheetAsync(font.family), timeout()]);
+      await Promise.race([
+        document.fonts.load(`16px "${font.family}"`),
+        timeout(),
+      ]);
+    } else if (font.source === "hosted") {
+      if (!font.url) return false;
+      const face = new FontFace(font.family, `url("${font.url}")`);
+      await Promise.race([face.load(), timeout()]);
+      document.fonts.add(face);
+    }
+
+    return isFontRendered(font.family);
+  } catch (error) {
+    console.warn(`The font "${font.family}" could not be loaded:`, error);
+    return false;
+  }
+};
+
+/**
+ * Reads a font file chosen by the author as a data URL, so it can be
+ * embedded in the settings and load without any server.
+ * @param {File} file - The font file.
+ * @returns {Promise<string>} The data URL of the file.
+ */
+export const readFontFileAsync = (file) =>
+  new Promise((resolve, reject) => {
+    if (file.size > MAX_EMBEDDED_FONT_BYTES) {
+      reject(
+        new Error(
+          `The font file is ${Math.round(file.size / 1024)} KB; files up to ${
+            MAX_EMBEDDED_FONT_BYTES / 1024
+          } KB can be embedded. Host larger files with the extension instead.`
+        )
+      );
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
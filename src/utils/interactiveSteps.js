@@ -0,0 +1,113 @@
+/**
+ * Interactive ("try it yourself") steps wait for the viewer to do something on
+ * the dashboard instead of advancing with the forward arrow.
+ *
+ * The awaited action is saved with its step as a plain object:
+ * { event, worksheet, field, parameter }
+ */
+
+// Events an interactive step can wait for
+export const WAIT_EVENTS = [
+  { value: "filter", label: "Changes a filter" },
+  { value: "marks", label: "Selects marks" },
+  { value: "parameter", label: "Changes a parameter" },
+];
+
+// How long clicks pass through to the dashboard before the tour takes them back
+export const CLICK_THROUGH_TIMEOUT = 30000; // 30 seconds
+
+/**
+ * Creates the default awaited action for a new interactive step.
+ * @returns {object} An awaited filter change on no particular worksheet.
+ */
+export const createWaitFor = () => ({
+  event: "filter",
+  worksheet: "",
+  field: "",
+  parameter: "",
+});
+
+/**
+ * Reads the awaited action of a step from its saved JSON form.
+ * @param {string} value - The saved settings value.
+ * @returns {object} The awaited action, or the default if none is saved or the value is invalid.
+ */
+export const parseWaitFor = (value) => {
+  if (!value) return createWaitFor();
+  try {
+    return { ...createWaitFor(), ...JSON.parse(value) };
+  } catch (error) {
+    console.error("Error reading interactive step settings:", error);
+    return createWaitFor();
+  }
+};
+
+/**
+ * Lets clicks on the extension pass through to the dashboard underneath.
+ * Does nothing on Tableau versions without click-through support.
+ * @param {boolean} enabled - Whether clicks should pass through.
+ * @returns {Promise<void>}
+ */
+export const setClickThroughAsync = async (enabled) => {
+  const extensions = window.tableau?.extensions;
+  if (typeof extensions?.setClickThroughAsync !== "function") return;
+
+  try {
+    await extensions.setClickThroughAsync(enabled);
+  } catch (error) {
+    console.error("Error changing click-through:", error);
+  }
+};
+
+/**
+ * Listens for the dashboard event an interactive step is waiting for.
+ * @param {object} waitFor - The awaited action of the step.
+ * @param {Function} onComplete - Called once the viewer has done the action.
+ * @returns {Promise<Function>} A function that removes the listeners.
+ */
+export const listenForStepEventAsync = async (waitFor, onComplete) => {
+  const tableau = window.tableau;
+  const dashboard = tableau.extensions.dashboardContent.dashboard;
+
+  if (waitFor.event === "parameter") {
+    const parameter = await dashboard.findParameterAsync(waitFor.parameter);
+    if (!parameter) {
+      throw new Error(`Parameter "${waitFor.parameter}" was not found.`);
+    }
+    return parameter.addEventListener(
+      tableau.TableauEventType.ParameterChanged,
+      () => onComplete()
+    );
+  }
+
+  // Filter and mark events come from worksheets; without a worksheet, any will do
+  const worksheets = dashboard.worksheets.filter(
+    (ws) => !waitFor.worksheet || ws.name === waitFor.worksheet
+  );
+
+  const unregisterFns = worksheets.map((worksheet) => {
+    if (waitFor.event === "marks") {
+      return worksheet.addEventListener(
+        tableau.TableauEventType.MarkSelectionChanged,
+        async (event) => {
+          // Only a new selection counts; clearing the selection does not
+          const marks = await event.getMarksAsync();
+          if (marks.data.some((table) => table.data.length > 0)) {
+            onComplete();
+          }
+        }
+      );
+    }
+
+    return worksheet.addEventListener(
+      tableau.TableauEventType.FilterChanged,
+      (event) => {
+        if (!waitFor.field || event.fieldName === waitFor.field) {
+          onComplete();
+        }
+      }
+    );
+  });
+
+  return () => unregisterFns.forEach((unregister) => unregister());
+};
@@ -0,0 +1,391 @@
+/**
+ * Layout of a tour step: the spotlight cutout around the highlighted object
+ * and the position of the tooltip. Shared by the tour and the layout map in the
+ * configuration dialog so the preview matches what viewers see.
+ */
+
+// Zone name used by earlier releases to find the extension, kept as a last resort
+export const EXTENSION_OBJECT_NAME = "Tableau Tour";
+
+// Default maximum width of the tooltip in pixels
+export const DEFAULT_TEXT_BOX_WIDTH = 300;
+
+// Tooltip positions a step may use; "auto" picks the side with the most room
+export const POSITIONS = ["auto", "right", "left", "top", "bottom"];
+
+// The side a tooltip flips to when it does not fit on the preferred one
+const OPPOSITE = { right: "left", left: "right", top: "bottom", bottom: "top" };
+
+// Gap between the tooltip and the object, and between the tooltip and the edges
+const TEXT_PADDING = 10;
+
+/**
+ * Reads the position and size of a dashboard object.
+ * @param {object} obj - A dashboard object from the Extensions API.
+ * @returns {object} `{ x, y, width, height }` in dashboard pixels.
+ */
+export const getObjectRect = (obj) => ({
+  x: obj.position.x || 0, // X-coordinate
+  y: obj.position.y || 0, // Y-coordinate
+  width: obj.size.width || 0, // Width of the object
+  height: obj.size.height || 0, // Height of the object
+});
+
+/**
+ * Finds the extension's own zone on the dashboard. The zone is identified by
+ * the ID Tableau gives this extension instance, so it can be renamed and
+ * several tours can share a dashboard. On Tableau versions without that ID the
+ * only extension zone is used, and failing that the zone named "Tableau Tour".
+ * @param {object} dashboard - The dashboard from the Extensions API.
+ * @returns {object|null} The dashboard object of the zone, or null if it is not found.
+ */
+export const findExtensionObject = (dashboard) => {
+  const tableau = window.tableau;
+  const ownId = tableau.extensions.dashboardObjectId;
+  if (ownId !== undefined) {
+    const own = dashboard.objects.find((obj) => obj.id === ownId);
+    if (own) return own;
+  }
+
+  const extensions = dashboard.objects.filter(
+    (obj) => obj.type === tableau.DashboardObjectType.Extension
+  );
+  if (extensions.length === 1) return extensions[0];
+
+  return (
+    dashboard.objects.find((obj) => obj.name === EXTENSION_OBJECT_NAME) || null
+  );
+};
+
+/**
+ * Finds the position and size of the extension's own zone on the dashboard.
+ * @param {object} dashboard - The dashboard from the Extensions API.
+ * @returns {object|null} `{ id, isFloating, x, y, width, height }` of the zone,
+ *   or null if it is not found.
+ */
+export const findExtensionPosition = (dashboard) => {
+  const extensionObject = findExtensionObject(dashboard);
+  return extensionObject
+    ? {
+        id: extensionObject.id, // ID of the zone, to tell it apart from other objects
+        isFloating: extensionObject.isFloating, // Whether the zone floats over the dashboard
+        ...getObjectRect(extensionObject),
+      }
+    : null;
+};
+
+/**
+ * Checks that the extension zone is set up so the tour can spotlight its
+ * objects: it must be found, be floating, and cover every object it points at.
+ * @param {object|null} extensionPosition - The zone, as returned by findExtensionPosition.
+ * @param {object} objectDetails - Object details keyed by object ID.
+ * @param {Array} objectIds - IDs of the objects the tour's steps point at.
+ * @returns {Array<string>} A message for each problem found; empty if none.
+ */
+export const getSetupWarnings = (
+  extensionPosition,
+  objectDetails,
+  objectIds
+) => {
+  if (!extensionPosition) {
+    return [
+      "The tour could not find its own zone on the dashboard, so the highlights may be in the wrong place.",
+    ];
+  }
+
+  const warnings = [];
+  if (!extensionPosition.isFloating) {
+    warnings.push(
+      "The tour extension is tiled. Make it floating and bring it to the front so it can cover the dashboard."
+    );
+  }
+
+  // Objects that stick out of the zone cannot be spotlit correctly
+  const { x, y, width, height } = extensionPosition;
+  const uncovered = [...new Set(objectIds.map(String))]
+    .map((id) => objectDetails[id])
+    .filter(
+      (details) =>
+        details &&
+        (details.x < x ||
+          details.y < y ||
+          details.x + details.width > x + width ||
+          details.y + details.height > y + height)
+    )
+    .map((details) => details.name);
+  if (uncovered.length > 0) {
+    warnings.push(
+      `The tour extension does not cover ${uncovered.join(
+        ", "
+      )}. Resize it to cover the whole dashboard.`
+    );
+  }
+
+  return warnings;
+};
+
+/**
+ * Builds a map of the name, position and size of every dashboard object.
+ * @param {object} dashboard - The dashboard from the Extensions API.
+ * @returns {object} Object details keyed by object ID.
+ */
+export const getObjectDetailsMap = (dashboard) =>
+  dashboard.objects.reduce((acc, obj) => {
+    acc[obj.id] = {
+      name: obj.name || `Object ${obj.id}`, // Name of the object
+      ...getObjectRect(obj), // Position and size of the object
+    };
+    return acc;
+  }, {});
+
+/**
+ * Listens for anything that can move or resize dashboard objects: the window
+ * resizing, the dashboard layout changing and zones being shown or hidden
+ * (which Tableau reports as a layout change).
+ * @param {object} dashboard - The dashboard from the Extensions API.
+ * @param {Function} onChange - Called once the layout has settled.
+ * @returns {Function} A function that removes the listeners.
+ */
+export const listenForLayoutChanges = (dashboard, onChange) => {
+  // Resizing fires many events; wait until it pauses
+  let timer = null;
+  const handleChange = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 100);
+  };
+
+  window.addEventListener("resize", handleChange);
+
+  // The layout event is only available on newer versions of Tableau
+  const eventType = window.tableau.TableauEventType.DashboardLayoutChanged;
+  const unregister = eventType
+    ? dashboard.addEventListener(eventType, handleChange)
+    : () => {};
+
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener("resize", handleChange);
+    unregister();
+  };
+};
+
+// Height up to which the extension zone counts as collapsed to its launcher
+export const COLLAPSED_ZONE_HEIGHT = 80;
+
+/**
+ * Moves and resizes the extension's zone, which Tableau only allows for
+ * floating zones on versions with the dashboard object sizing API.
+ * @param {object} dashboard - The dashboard from the Extensions API.
+ * @param {number} id - The ID of the extension zone.
+ * @param {object} rect - The new position and size, in dashboard pixels.
+ * @returns {Promise<boolean>} True if the zone was resized; false if this
+ *   version of Tableau cannot, or refused.
+ */
+export const resizeExtensionZoneAsync = async (dashboard, id, rect) => {
+  if (typeof dashboard.moveAndResizeDashboardObjectsAsync !== "function") {
+    return false;
+  }
+  try {
+    await dashboard.moveAndResizeDashboardObjectsAsync([
+      {
+        dashboardObjectID: id,
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      },
+    ]);
+    return true;
+  } catch (error) {
+    console.warn("The tour's zone could not be resized:", error);
+    return false;
+  }
+};
+
+/**
+ * Creates an extra highlight for a step: a whole object, a region within an
+ * object, or, without an object, a region in dashboard coordinates.
+ * @returns {object} `{ object, region }` with no object or region chosen.
+ */
+export const createTarget = () => ({ object: "", region: null });
+
+/**
+ * Reads a region from the editor or the settings.
+ * @param {*} region - `{ x, y, width, height }`, possibly with text values.
+ * @returns {object|null} The region as numbers, or null if it is incomplete.
+ */
+export const parseRegion = (region) => {
+  if (!region || typeof region !== "object") return null;
+  const [x, y, width, height] = ["x", "y", "width", "height"].map((key) =>
+    parseFloat(region[key])
+  );
+  if ([x, y, width, height].some(isNaN) || width <= 0 || height <= 0) {
+    return null;
+  }
+  return { x, y, width, height };
+};
+
+/**
+ * Works out the rectangle a highlight covers on the dashboard.
+ * @param {object} target - `{ object, region }`; the region is an offset within
+ *   the object, or in dashboard coordinates when there is no object.
+ * @param {object} objectDetails - Object details keyed by object ID.
+ * @returns {object|null} `{ x, y, width, height }` in dashboard pixels, or null
+ *   if the object is missing or there is nothing to highlight.
+ */
+export const getTargetRect = (target, objectDetails) => {
+  const region = parseRegion(target.region);
+  if (!target.object) return region;
+
+  const details = objectDetails[target.object];
+  if (!details) return null;
+  if (!region) return details;
+
+  return {
+    x: details.x + region.x,
+    y: details.y + region.y,
+    width: region.width,
+    height: region.height,
+  };
+};
+
+/**
+ * Lists the rectangles a step highlights: its own object or region first,
+ * then any extra highlights.
+ * @param {object} step - The step, with `object`, `region` and `targets`.
+ * @param {object} objectDetails - Object details keyed by object ID.
+ * @returns {Array<object>} Rectangles in dashboard pixels; the tooltip is
+ *   placed next to the first. Empty if the step's own target is missing.
+ */
+export const getStepRects = (step, objectDetails) => {
+  const main = getTargetRect(step, objectDetails);
+  if (!main) return [];
+
+  const extras = (step.targets || [])
+    .map((target) => getTargetRect(target, objectDetails))
+    .filter(Boolean);
+  return [main, ...extras];
+};
+
+/**
+ * Calculates the spotlight cutouts and tooltip position for a step. The tooltip goes
+ * on the preferred side of the first rectangle if it fits, otherwise on the
+ * opposite side, otherwise on whichever side has the most room, and is then
+ * kept inside the extension.
+ * @param {Array<object>} rects - Highlighted rectangles in dashboard pixels, as from getStepRects.
+ * @param {object} extensionPosition - Position and size of the extension zone.
+ * @param {string} position - Where the tooltip goes: auto, left, right, top or bottom.
+ * @param {object} [options] - `maxWidth` of the tooltip, its measured `size`
+ *   (`{ width, height }`) and the spotlight `padding`; before it is measured
+ *   the tooltip is assumed to be `maxWidth` wide and zero high.
+ * @returns {object} `{ cutouts, text }`, both relative to the extension zone;
+ *   `cutouts` are the spotlight rectangles, `text.width` is the measured width
+ *   the tooltip was placed with, `text.maxWidth` caps the width it renders at
+ *   and `text.placement` is the side the tooltip ended up on.
+ */
+export const computeStepLayout = (
+  rects,
+  extensionPosition,
+  position,
+  options = {}
+) => {
+  const {
+    maxWidth = DEFAULT_TEXT_BOX_WIDTH,
+    size,
+    padding = 0, // Space between the object and the edge of the spotlight
+  } = options;
+
+  // Calculate the spotlights relative to the extension's position, grown by the padding
+  const cutouts = rects.map((rect) => ({
+    x: rect.x - extensionPosition.x - padding,
+    y: rect.y - extensionPosition.y - padding,
+    width: rect.width + padding * 2,
+    height: rect.height + padding * 2,
+  }));
+
+  // The tooltip goes next to the first spotlight
+  const { x: adjustedX, y: adjustedY, width, height } = cutouts[0];
+
+  // Never let the tooltip be wider than the extension; a short tooltip is
+  // narrower than that, so place it by its measured width once known
+  const maxTextWidth = Math.max(
+    Math.min(maxWidth, extensionPosition.width - TEXT_PADDING * 2),
+    0
+  );
+  const textWidth = size?.width
+    ? Math.min(size.width, maxTextWidth)
+    : maxTextWidth;
+  const textHeight = size?.height || 0;
+
+  // Room between the object and each edge of the extension
+  const space = {
+    right: extensionPosition.width - (adjustedX + width),
+    left: adjustedX,
+    top: adjustedY,
+    bottom: extensionPosition.height - (adjustedY + height),
+  };
+
+  /**
+   * Checks whether the tooltip fits on one side of the object.
+   * @param {string} side - The side to check.
+   * @returns {boolean} True if the tooltip fits with padding on both ends.
+   */
+  const fits = (side) => {
+    const needed = side === "left" || side === "right" ? textWidth : textHeight;
+    return space[side] >= needed + TEXT_PADDING * 2;
+  };
+
+  // Try the preferred side, then its opposite, then the side with the most room
+  const bySpace = Object.keys(space).sort((a, b) => space[b] - space[a]);
+  const preferred = OPPOSITE[position] ? [position, OPPOSITE[position]] : [];
+  const placement =
+    [...preferred, ...bySpace].find(fits) || preferred[0] || bySpace[0];
+
+  // Place the tooltip next to the object on the chosen side
+  let top;
+  let left;
+  switch (placement) {
+    case "right":
+      top = adjustedY;
+      left = adjustedX + width + TEXT_PADDING; // Position to the right of the object
+      break;
+
+    case "left":
+      top = adjustedY;
+      left = adjustedX - textWidth - TEXT_PADDING; // Position to the left of the object
+      break;
+
+    case "top":
+      top = adjustedY - textHeight - TEXT_PADDING; // Position above the object
+      left = adjustedX;
+      break;
+
+    case "bottom":
+    default:
+      top = adjustedY + height + TEXT_PADDING; // Position below the object
+      left = adjustedX;
+      break;
+  }
+
+  /**
+   * Keeps a coordinate inside the extension, preferring the start edge if the
+   * tooltip is larger than the extension.
+   * @param {number} value - The coordinate to clamp.
+   * @param {number} extent - Width or height of the tooltip.
+   * @param {number} limit - Width or height of the extension.
+   * @returns {number} The clamped coordinate.
+   */
+  const clamp = (value, extent, limit) =>
+    Math.max(Math.min(value, limit - extent - TEXT_PADDING), TEXT_PADDING);
+
+  const text = {
+    top: clamp(top, textHeight, extensionPosition.height),
+    left: clamp(left, textWidth, extensionPosition.width),
+    width: textWidth,
+    maxWidth: maxTextWidth,
+    maxHeight: extensionPosition.height - TEXT_PADDING * 2, // Scroll rather than overflow
+    placement,
+  };
+
+  return { cutouts, text };
+};
@@ -0,0 +1,188 @@
+/**
+ * Localization of the tour for viewers in different countries.
+ *
+ * The text entered on a step, and the name and description of a tour, are in
+ * the default language. Other languages are kept next to them:
+ *   step.translations: { [language]: { title, text, hint } }
+ *   tour.translations: { [language]: { name, description } }
+ * An empty translation falls back to the default language. The navigation
+ * controls use the built-in English strings unless the general settings
+ * override them for a language:
+ *   general.localization: { defaultLanguage, languages, ui: { [language]: { [key]: text } } }
+ */
+
+// Language used when nothing has been configured
+export const DEFAULT_LANGUAGE = "en";
+
+// Strings shown by the tour's own controls; `{name}` marks a placeholder
+export const UI_STRINGS = [
+  { key: "previous", text: "Previous step" },
+  { key: "next", text: "Next step" },
+  { key: "play", text: "Play tour" },
+  { key: "pause", text: "Pause tour" },
+  { key: "navigation", text: "Tour navigation" },
+  { key: "steps", text: "Tour steps" },
+  { key: "step", text: "Step {number}" },
+  { key: "stepCounter", text: "Step {number} of {total}" },
+  { key: "chooseTour", text: "Choose a tour" },
+  { key: "timeLeft", text: "Time until the next step" },
+  { key: "tryIt", text: "Try it" },
+  { key: "waiting", text: "Waiting for you…" },
+  { key: "skip", text: "Skip" },
+  { key: "close", text: "Close tour" },
+  { key: "dontShowAgain", text: "Don't show again" },
+  { key: "takeTour", text: "Take the tour" },
+  { key: "resume", text: "Resume at step {number}" },
+  { key: "startOver", text: "Start over" },
+];
+
+// Text fields of a step and of a tour that can be translated
+export const STEP_TEXT_FIELDS = ["title", "text", "hint"];
+export const TOUR_TEXT_FIELDS = ["name", "description"];
+
+/**
+ * Creates the localization settings used when nothing has been saved.
+ * @returns {object} A single default language without overrides.
+ */
+export const createDefaultLocalization = () => ({
+  defaultLanguage: DEFAULT_LANGUAGE,
+  languages: [DEFAULT_LANGUAGE],
+  ui: {},
+});
+
+/**
+ * Normalizes a language code such as "de_CH" to the form "de-ch".
+ * @param {*} code - The language code.
+ * @returns {string} The normalized code, or an empty string.
+ */
+export const normalizeLanguage = (code) =>
+  typeof code === "string" ? code.trim().toLowerCase().replace(/_/g, "-") : "";
+
+/**
+ * Keeps the non-empty strings of a translation for the given fields.
+ * @param {*} value - The translation as read from the settings.
+ * @param {Array<string>} fields - The fields that can be translated.
+ * @returns {object} The translated fields that have text.
+ */
+const validateStrings = (value, fields) => {
+  const source = value && typeof value === "object" ? value : {};
+  return Object.fromEntries(
+    fields
+      .filter((field) => typeof source[field] === "string" && source[field])
+      .map((field) => [field, source[field]])
+  );
+};
+
+/**
+ * Validates the translations of a step or tour, keyed by language.
+ * @param {*} value - The translations as read from the settings.
+ * @param {Array<string>} fields - The fields that can be translated.
+ * @returns {object} Valid translations without empty languages.
+ */
+export const validateTranslations = (value, fields) => {
+  const source = value && typeof value === "object" ? value : {};
+  return Object.fromEntries(
+    Object.entries(source)
+      .map(([language, strings]) => [
+        normalizeLanguage(language),
+        validateStrings(strings, fields),
+      ])
+      .filter(
+        ([language, strings]) => language && Object.keys(strings).length > 0
+      )
+  );
+};
+
+/**
+ * Validates the localization settings, replacing anything invalid.
+ * @param {*} value - The localization settings as read from the document.
+ * @returns {object} Valid localization settings.
+ */
+export const validateLocalization = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const defaultLanguage =
+    normalizeLanguage(source.defaultLanguage) || DEFAULT_LANGUAGE;
+  const languages = Array.isArray(source.languages)
+    ? source.languages.map(normalizeLanguage).filter(Boolean)
+    : [];
+
+  return {
+    defaultLanguage,
+    // The default language always comes first and appears once
+    languages: [...new Set([defaultLanguage, ...languages])],
+    ui: validateTranslations(
+      source.ui,
+      UI_STRINGS.map((string) => string.key)
+    ),
+  };
+};
+
+/**
+ * Reads the viewer's language from Tableau: the locale first, since it can
+ * tell regional variants apart, then the language of the Tableau interface.
+ * @returns {string} The normalized language code, or an empty string.
+ */
+export const getViewerLanguage = () => {
+  const environment = window.tableau?.extensions?.environment;
+  return normalizeLanguage(environment?.locale || environment?.language);
+};
+
+/**
+ * Picks the configured language that best matches the viewer's language.
+ * "de-ch" matches "de-ch" first, then "de", then another variant of "de".
+ * @param {string} viewerLanguage - The viewer's normalized language code.
+ * @param {object} localization - The localization settings.
+ * @returns {string} The language to show, or the default language.
+ */
+export const resolveLanguage = (viewerLanguage, localization) => {
+  const { defaultLanguage, languages } = localization;
+  if (!viewerLanguage) return defaultLanguage;
+  if (languages.includes(viewerLanguage)) return viewerLanguage;
+
+  const primary = viewerLanguage.split("-")[0];
+  return (
+    languages.find((language) => language === primary) ||
+    languages.find((language) => language.split("-")[0] === primary) ||
+    defaultLanguage
+  );
+};
+
+/**
+ * Replaces the text fields of a step or tour with their translations.
+ * @param {object} source - The step or tour.
+ * @param {string} language - The language to show.
+ * @param {Array<string>} fields - The fields that can be translated.
+ * @returns {object} A copy with the translated text, where there is any.
+ */
+export const localizeText = (source, language, fields) => {
+  const strings = source.translations?.[language];
+  if (!strings) return source;
+  return {
+    ...source,
+    ...validateStrings(strings, fields),
+  };
+};
+
+/**
+ * Builds the strings of the tour's own controls for a language. Overrides for
+ * the default language apply to every language that does not override them.
+ * @param {object} localization - The localization settings.
+ * @param {string} language - The language to show.
+ * @returns {object} The text of every control, by key.
+ */
+export const getUiStrings = (localization, language) => ({
+  ...Object.fromEntries(UI_STRINGS.map(({ key, text }) => [key, text])),
+  ...localization.ui[localization.defaultLanguage],
+  ...localization.ui[language],
+});
+
+/**
+ * Fills the placeholders of a string, such as `{number}`.
+ * @param {string} template - The string with placeholders.
+ * @param {object} values - The values by placeholder name.
+ * @returns {string} The filled-in string.
+ */
+export const formatString = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
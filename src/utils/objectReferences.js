@@ -0,0 +1,128 @@
+/**
+ * Finding and repairing steps whose dashboard objects no longer exist.
+ *
+ * Steps point at dashboard objects by ID, and Tableau gives an object a new
+ * ID when it is deleted and recreated or the dashboard is rebuilt. So that a
+ * replacement can be found, each step and extra highlight also saves the name
+ * and type of its object as `objectName` and `objectType` whenever the
+ * settings are saved while the object exists.
+ */
+
+/**
+ * Records the current name and type of every object the tours point at, and
+ * keeps the saved ones for objects that are missing.
+ * @param {object} document - The settings document.
+ * @param {Array} dashboardObjects - The dashboard objects, as `{ id, name, type }`.
+ * @returns {object} A copy of the document with names and types recorded.
+ */
+export const recordObjectNames = (document, dashboardObjects) => {
+  const objectsById = Object.fromEntries(
+    dashboardObjects.map((object) => [String(object.id), object])
+  );
+
+  /**
+   * Records the name and type of one step's or highlight's object.
+   * @param {object} target - The step or highlight.
+   * @returns {object} A copy with `objectName` and `objectType` up to date.
+   */
+  const record = (target) => {
+    const object = objectsById[String(target.object)];
+    return object
+      ? { ...target, objectName: object.name, objectType: object.type || "" }
+      : target;
+  };
+
+  return {
+    ...document,
+    tours: document.tours.map((tour) => ({
+      ...tour,
+      steps: tour.steps.map((step) => ({
+        ...record(step),
+        targets: step.targets.map(record),
+      })),
+    })),
+  };
+};
+
+/**
+ * Suggests an object to replace a missing one: an object with the same name,
+ * ignoring case and surrounding spaces, and of the same type when the type is
+ * known. An exact name match wins.
+ * @param {object} reference - `{ objectName, objectType }` of the missing object.
+ * @param {Array} dashboardObjects - The dashboard objects, as `{ id, name, type }`.
+ * @returns {object|null} The suggested object, or null if none matches.
+ */
+export const suggestReplacement = (reference, dashboardObjects) => {
+  const name = (reference.objectName || "").trim();
+  if (!name) return null;
+
+  const candidates = dashboardObjects.filter(
+    (object) =>
+      object.name.trim().toLowerCase() === name.toLowerCase() &&
+      (!reference.objectType || object.type === reference.objectType)
+  );
+  return (
+    candidates.find((object) => object.name.trim() === name) ||
+    candidates[0] ||
+    null
+  );
+};
+
+/**
+ * Lists every step and extra highlight that points at an object missing from
+ * the dashboard, with a suggested replacement where one matches.
+ * @param {Array} tours - The tours being edited, as `{ name, rows }`.
+ * @param {Array} dashboardObjects - The dashboard objects, as `{ id, name, type }`.
+ * @returns {Array<object>} `{ tourIndex, tourName, rowId, stepNumber, title,
+ *   targetIndex, objectId, objectName, objectType, suggestion }` where
+ *   `targetIndex` is -1 for the step's own object.
+ */
+export const findStaleReferences = (tours, dashboardObjects) => {
+  const ids = new Set(dashboardObjects.map((object) => String(object.id)));
+  const references = [];
+
+  tours.forEach((tour, tourIndex) => {
+    tour.rows.forEach((row, rowIndex) => {
+      [row, ...row.targets].forEach((target, index) => {
+        if (!target.object || ids.has(String(target.object))) return;
+        references.push({
+          tourIndex,
+          tourName: tour.name,
+          rowId: row.id,
+          stepNumber: rowIndex + 1,
+          title: row.title,
+          targetIndex: index - 1, // The step itself comes first
+          objectId: String(target.object),
+          objectName: target.objectName || "",
+          objectType: target.objectType || "",
+          suggestion: suggestReplacement(target, dashboardObjects),
+        });
+      });
+    });
+  });
+
+  return references;
+};
+
+/**
+ * Points a step, or one of its extra highlights, at a replacement object.
+ * @param {object} step - The step.
+ * @param {number} targetIndex - The highlight to repair, or -1 for the step's own object.
+ * @param {object} object - The replacement, as `{ id, name, type }`.
+ * @returns {object} A copy of the step pointing at the replacement.
+ */
+export const replaceObject = (step, targetIndex, object) => {
+  const replacement = {
+    object: String(object.id),
+    objectName: object.name,
+    objectType: object.type || "",
+  };
+  return targetIndex === -1
+    ? { ...step, ...replacement }
+    : {
+        ...step,
+        targets: step.targets.map((target, index) =>
+          index === targetIndex ? { ...target, ...replacement } : target
+        ),
+      };
+};
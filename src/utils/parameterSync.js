@@ -0,0 +1,200 @@
+/**
+ * Two-way binding between the tour and a Tableau parameter. As the tour moves,
+ * the parameter is set to the current step or tour, so calculated fields and
+ * dynamic zone visibility can react to it. When the parameter changes, for
+ * example from a parameter action, the tour jumps to that step or starts that
+ * tour. The binding is saved in the general settings:
+ *   parameterSync: { parameter, target, stepValue }
+ * An empty `parameter` turns the binding off. While the tour is closed the
+ * parameter holds an empty value (0 for step numbers), and setting it to an
+ * empty value closes the tour.
+ */
+
+// What the parameter follows
+export const SYNC_TARGETS = [
+  { value: "step", label: "Current step" },
+  { value: "tour", label: "Tour name" },
+];
+
+// How a step is written to the parameter
+export const SYNC_STEP_VALUES = [
+  { value: "number", label: "Step number" }, // As numbered in the Tour Items tab
+  { value: "title", label: "Step title" }, // In the tour's default language
+  { value: "id", label: "Step ID" }, // Survives reordering and renaming
+];
+
+/**
+ * Creates the binding used when nothing has been saved: no parameter.
+ * @returns {object} The default parameter binding.
+ */
+export const createDefaultParameterSync = () => ({
+  parameter: "", // Name of the bound parameter; empty turns the binding off
+  target: "step",
+  stepValue: "number",
+});
+
+/**
+ * Validates the parameter binding, replacing anything invalid with defaults.
+ * @param {*} value - The binding as read from the settings.
+ * @returns {object} A valid parameter binding.
+ */
+export const validateParameterSync = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const defaults = createDefaultParameterSync();
+
+  return {
+    parameter:
+      typeof source.parameter === "string" ? source.parameter.trim() : "",
+    target: SYNC_TARGETS.some((option) => option.value === source.target)
+      ? source.target
+      : defaults.target,
+    stepValue: SYNC_STEP_VALUES.some(
+      (option) => option.value === source.stepValue
+    )
+      ? source.stepValue
+      : defaults.stepValue,
+  };
+};
+
+/**
+ * Builds the parameter value for the tour's current state.
+ * @param {object} sync - The parameter binding.
+ * @param {object|null} tour - The running tour, or null while the tour is closed.
+ * @param {object|null} item - The step on screen.
+ * @returns {string} The value to write to the parameter.
+ */
+export const getSyncValue = (sync, tour, item) => {
+  const emptyValue =
+    sync.target === "step" && sync.stepValue === "number" ? "0" : "";
+  if (!tour) return emptyValue;
+  if (sync.target === "tour") return tour.key; // Untranslated, like progress and analytics
+  if (!item) return emptyValue;
+
+  if (sync.stepValue === "id") return item.id;
+  if (sync.stepValue === "title") return item.sourceTitle;
+  return String(item.stepNumber);
+};
+
+/**
+ * Tells whether a parameter value means "no step or tour", which closes the tour.
+ * @param {string} value - The parameter value.
+ * @returns {boolean} True for an empty value or a step number of 0.
+ */
+export const isEmptySyncValue = (value) => value.trim() === "" || value === "0";
+
+/**
+ * Finds the step or tour a parameter value points at. Step numbers refer to
+ * the running tour; titles and IDs are looked up in the running tour first,
+ * then in the others. Comparisons ignore case and surrounding spaces.
+ * @param {object} sync - The parameter binding.
+ * @param {Array} tours - The tours, with their items.
+ * @param {number} activeTour - Index of the running tour.
+ * @param {string} value - The parameter value.
+ * @returns {object|null} `{ tourIndex, itemIndex }`, where `itemIndex` is
+ *   among all items of the tour and is null for a tour, or null if nothing matches.
+ */
+export const findSyncTarget = (sync, tours, activeTour, value) => {
+  const wanted = value.trim().toLowerCase();
+  const matches = (text) => String(text).trim().toLowerCase() === wanted;
+
+  if (sync.target === "tour") {
+    const tourIndex = tours.findIndex(
+      (tour) => matches(tour.key) || matches(tour.name)
+    );
+    return tourIndex === -1 ? null : { tourIndex, itemIndex: null };
+  }
+
+  const key = { number: "stepNumber", title: "sourceTitle", id: "id" }[
+    sync.stepValue
+  ];
+  const order =
+    sync.stepValue === "number"
+      ? [activeTour] // Numbers repeat in every tour
+      : [activeTour, ...tours.map((_, index) => index)];
+
+  for (const tourIndex of order) {
+    const itemIndex = (tours[tourIndex]?.items || []).findIndex((item) =>
+      matches(item[key])
+    );
+    if (itemIndex !== -1) return { tourIndex, itemIndex };
+  }
+  return null;
+};
+
+/**
+ * Lists the steps that also change the bound parameter with a step action or
+ * wait for it to change as an interactive step. Either fights the binding:
+ * the tour would move itself, or complete the step, on its own writes.
+ * @param {string} parameter - Name of the bound parameter.
+ * @param {Array} tours - The tours being edited, as `{ name, rows }`.
+ * @returns {Array<string>} Descriptions of the conflicting steps.
+ */
+export const findSyncConflicts = (parameter, tours) => {
+  if (!parameter) return [];
+
+  const conflicts = [];
+  tours.forEach((tour) => {
+    tour.rows.forEach((row, index) => {
+      const label = `${tour.name}, step ${index + 1}`;
+      if (
+        row.actions.some(
+          (action) =>
+            action.type === "parameter" && action.parameter === parameter
+        )
+      ) {
+        conflicts.push(`${label} changes it with a step action`);
+      }
+      if (
+        row.type === "interactive" &&
+        row.waitFor.event === "parameter" &&
+        row.waitFor.parameter === parameter
+      ) {
+        conflicts.push(`${label} waits for it to change`);
+      }
+    });
+  });
+  return conflicts;
+};
+
+/**
+ * Sets the bound parameter to a value. A parameter that already holds the
+ * value is left alone, since Tableau reports no change for it.
+ * @param {string} name - Name of the parameter.
+ * @param {string} value - The new value.
+ * @returns {Promise<boolean>} True if the parameter was changed.
+ * @throws {Error} If the parameter does not exist or does not allow the value.
+ */
+export const writeParameterAsync = async (name, value) => {
+  const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+  const parameter = await dashboard.findParameterAsync(name);
+  if (!parameter) {
+    throw new Error(`Parameter "${name}" was not found.`);
+  }
+  if (String(parameter.currentValue.value) === value) return false;
+  await parameter.changeValueAsync(value);
+  return true;
+};
+
+/**
+ * Listens for changes of the bound parameter.
+ * @param {string} name - Name of the parameter.
+ * @param {function(string): void} onChange - Called with the new value.
+ * @returns {Promise<Function>} A function that removes the listener.
+ * @throws {Error} If the parameter does not exist.
+ */
+export const listenForParameterAsync = async (name, onChange) => {
+  const tableau = window.tableau;
+  const dashboard = tableau.extensions.dashboardContent.dashboard;
+  const parameter = await dashboard.findParameterAsync(name);
+  if (!parameter) {
+    throw new Error(`Parameter "${name}" was not found.`);
+  }
+
+  return parameter.addEventListener(
+    tableau.TableauEventType.ParameterChanged,
+    async (event) => {
+      const changed = await event.getParameterAsync();
+      onChange(String(changed.currentValue.value));
+    }
+  );
+};
@@ -0,0 +1,84 @@
+/**
+ * Remembers each viewer's progress through the tours in the browser's local
+ * storage, so returning viewers are not pushed into a tour they have seen.
+ *
+ * Progress is kept per dashboard and extension instance, and per tour name:
+ * { [tourName]: { status, step, version, hidden } }
+ * where `status` is "started", "completed" or "dismissed", `step` is the
+ * index of the last step reached among all steps of the tour, `version` is the
+ * content version of the tour the viewer saw and `hidden` is set by "Don't
+ * show again".
+ */
+
+// When the tour opens by itself as the dashboard loads
+export const AUTO_START_OPTIONS = [
+  { value: "new", label: "First visit and new versions" },
+  { value: "always", label: "Every time" },
+  { value: "never", label: "Never; viewers start it" },
+];
+
+/**
+ * Builds the storage key of this extension instance, so several dashboards
+ * and several tour extensions on one dashboard keep separate progress.
+ * @returns {string} The local storage key.
+ */
+const getStorageKey = () => {
+  const extensions = window.tableau.extensions;
+  const dashboard = extensions.dashboardContent.dashboard;
+  return `tableau-tour:${dashboard.name}:${extensions.dashboardObjectId ?? ""}`;
+};
+
+/**
+ * Reads the progress of every tour. Browsers that block local storage, such
+ * as some embedded or private sessions, simply have no saved progress.
+ * @returns {object} Progress records by tour name.
+ */
+export const loadProgress = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(getStorageKey()));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Updates the progress of one tour and saves it.
+ * @param {string} tourName - The name of the tour.
+ * @param {object} changes - The changed properties of its record.
+ * @returns {object} The progress of every tour after the change.
+ */
+export const saveTourProgress = (tourName, changes) => {
+  const progress = loadProgress();
+  progress[tourName] = { ...progress[tourName], ...changes };
+  try {
+    window.localStorage.setItem(getStorageKey(), JSON.stringify(progress));
+  } catch (error) {
+    console.warn("Tour progress could not be saved:", error);
+  }
+  return progress;
+};
+
+/**
+ * Decides whether a tour opens by itself when the dashboard loads.
+ * @param {object} [record] - The viewer's progress through the tour.
+ * @param {number} version - The current content version of the tour.
+ * @param {string} autoStart - One of the AUTO_START_OPTIONS values.
+ * @returns {boolean} True if the tour should start.
+ */
+export const shouldAutoStart = (record, version, autoStart) => {
+  if (record?.hidden) return false; // "Don't show again" wins over every setting
+  if (autoStart === "always") return true;
+  if (autoStart === "never") return false;
+
+  // First-time visitors, and viewers who saw an older version of the tour
+  return !record?.status || (record.version ?? 0) < version;
+};
+
+/**
+ * Tells whether the viewer left a tour part way and can resume it.
+ * @param {object} [record] - The viewer's progress through the tour.
+ * @returns {boolean} True if there is a step to resume from.
+ */
+export const canResume = (record) =>
+  Boolean(record) && record.status !== "completed" && record.step > 0;
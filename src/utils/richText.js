@@ -0,0 +1,45 @@
+// Import the Markdown parser and the HTML sanitiser used for tour step bodies
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+
+// Tags that step bodies may contain once rendered; everything else is stripped
+const ALLOWED_TAGS = [
+  "p",
+  "br",
+  "strong",
+  "b",
+  "em",
+  "i",
+  "ul",
+  "ol",
+  "li",
+  "a",
+  "img",
+  "code",
+];
+
+// Attributes that survive sanitisation on the allowed tags
+const ALLOWED_ATTR = ["href", "title", "src", "alt", "target", "rel"];
+
+// Open every link in a new tab so the dashboard itself is never navigated away
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A") {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+/**
+ * Converts the Markdown body of a tour step into sanitised HTML.
+ * Plain text from older tours renders unchanged as a single paragraph.
+ * @param {string} markdown - The step body as entered in the configuration dialog.
+ * @returns {string} HTML that is safe to inject into the tooltip.
+ */
+export const renderRichText = (markdown) => {
+  if (!markdown) return "";
+
+  // Parse synchronously; line breaks inside a paragraph are kept as <br>
+  const html = marked.parse(markdown, { async: false, breaks: true });
+
+  return DOMPurify.sanitize(html, { ALLOWED_TAGS, ALLOWED_ATTR });
+};
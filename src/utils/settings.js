@@ -0,0 +1,478 @@
+/**
+ * Shared settings module for the Tableau Tour extension.
+ *
+ * All configuration is stored as one versioned JSON document under a single
+ * Tableau settings key. Workbooks saved with the older flat keys (`rowCount`,
+ * `tour${i}_text`, `tourCount`, `tour${t}_step${i}_text`, `selectedFont`, ...)
+ * are migrated when they are loaded and rewritten in the new format on save.
+ *
+ * Document shape (version 2):
+ * {
+ *   version: 2,
+ *   general: { font: { family, source, url, fallback },
+ *              backgroundColor, transparency, tooltipMaxWidth, spotlight,
+ *              transition,
+ *              autoplay: { playOnLoad, defaultDuration, loop }, localization,
+ *              autoStart, theme, themePresets, analytics, parameterSync },
+ *   tours: [{ name, description, translations, version,
+ *             steps: [{ id, object, objectName, objectType, region,
+ *                       targets: [{ object, objectName, objectType, region }],
+ *                       title, text, position, actions,
+ *                       type, waitFor, hint, duration, spotlight, transition,
+ *                       conditions, translations }] }]
+ * }
+ */
+import { DEFAULT_STEP_DURATION } from "./autoplay";
+import { parseActions } from "./tourActions";
+import { createWaitFor, parseWaitFor } from "./interactiveSteps";
+import { DEFAULT_TEXT_BOX_WIDTH, POSITIONS, parseRegion } from "./layout";
+import { createCondition } from "./stepConditions";
+import { AUTO_START_OPTIONS } from "./progress";
+import {
+  STEP_TEXT_FIELDS,
+  TOUR_TEXT_FIELDS,
+  createDefaultLocalization,
+  validateLocalization,
+  validateTranslations,
+} from "./localization";
+import {
+  createDefaultSpotlight,
+  createSpotlightOverride,
+  validateSpotlight,
+} from "./spotlight";
+import {
+  createDefaultTheme,
+  validateTheme,
+  validateThemePresets,
+} from "./theme";
+import { createDefaultFont, validateFont } from "./fonts";
+import {
+  createDefaultTransition,
+  createTransitionOverride,
+  validateTransition,
+} from "./transitions";
+import { createDefaultAnalytics, validateAnalytics } from "./analytics";
+import {
+  createDefaultParameterSync,
+  validateParameterSync,
+} from "./parameterSync";
+
+// Key under which the settings document is stored
+export const SETTINGS_KEY = "tourSettings";
+
+// Current version of the settings document
+export const SETTINGS_VERSION = 2;
+
+// Tableau limits the total size of an extension's settings to 2 MB
+export const SETTINGS_SIZE_LIMIT = 2 * 1024 * 1024;
+
+// Share of the size limit above which authors are warned
+export const SETTINGS_SIZE_WARNING = 0.8;
+
+// Step types a step may use
+const STEP_TYPES = ["read", "interactive"];
+
+/**
+ * Migrations from one document version to the next, keyed by the version they
+ * upgrade from. Add an entry here whenever SETTINGS_VERSION is increased.
+ */
+const MIGRATIONS = {
+  // Version 1 saved only the name of a Google Font
+  1: (document) => {
+    const general = asPlainObject(document.general);
+    return {
+      ...document,
+      general: {
+        ...general,
+        font:
+          typeof general.font === "string"
+            ? { family: general.font, source: "google" }
+            : general.font,
+      },
+    };
+  },
+};
+
+/**
+ * Creates the general settings used when nothing has been saved.
+ * @returns {object} The default general settings.
+ */
+export const createDefaultGeneral = () => ({
+  font: createDefaultFont(),
+  backgroundColor: "#000000",
+  transparency: 70,
+  tooltipMaxWidth: DEFAULT_TEXT_BOX_WIDTH,
+  spotlight: createDefaultSpotlight(),
+  transition: createDefaultTransition(),
+  autoplay: {
+    playOnLoad: false,
+    defaultDuration: DEFAULT_STEP_DURATION,
+    loop: true,
+  },
+  localization: createDefaultLocalization(),
+  autoStart: "new",
+  theme: createDefaultTheme(),
+  themePresets: [], // Presets saved by authors, next to the built-in ones
+  analytics: createDefaultAnalytics(),
+  parameterSync: createDefaultParameterSync(),
+});
+
+/**
+ * Creates a unique ID for a new step. The ID is saved with the step and never
+ * changes, so analytics and other references survive reordering.
+ * @returns {string} The step ID.
+ */
+export const createStepId = () =>
+  `step-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Derives an ID for a step saved without one from its object and text, so it
+ * stays the same on every load and wherever the step is moved.
+ * @param {object} source - The step as read from the document.
+ * @returns {string} The step ID.
+ */
+const deriveStepId = (source) => {
+  const content = [source.object, source.title, source.text].join("|");
+  let hash = 0;
+  for (let i = 0; i < content.length; i++) {
+    hash = (hash * 31 + content.charCodeAt(i)) | 0; // Keep within 32 bits
+  }
+  return `step-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * Creates a new, empty tour step.
+ * @returns {object} A step with default values.
+ */
+export const createStep = () => ({
+  id: createStepId(),
+  object: "",
+  objectName: "", // Name and type of the object, to find it again if its ID changes
+  objectType: "",
+  region: null,
+  targets: [],
+  title: "",
+  text: "",
+  position: "auto",
+  actions: [],
+  type: "read",
+  waitFor: createWaitFor(),
+  hint: "",
+  duration: "",
+  spotlight: createSpotlightOverride(),
+  transition: createTransitionOverride(),
+  conditions: [],
+  translations: {},
+});
+
+/**
+ * Creates a new, empty tour.
+ * @param {string} name - The name of the tour.
+ * @returns {object} A tour without steps.
+ */
+export const createTour = (name) => ({
+  name,
+  description: "",
+  translations: {},
+  version: 1,
+  steps: [],
+});
+
+/**
+ * Creates the settings document used when nothing has been saved.
+ * @returns {object} The default settings document.
+ */
+export const createDefaultSettings = () => ({
+  version: SETTINGS_VERSION,
+  general: createDefaultGeneral(),
+  tours: [],
+});
+
+// Helpers that coerce untrusted values to the expected type
+const asString = (value, fallback = "") =>
+  typeof value === "string" ? value : fallback;
+const asBoolean = (value, fallback) =>
+  typeof value === "boolean" ? value : fallback;
+const asNumber = (value, fallback, min, max) => {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
+};
+const asObjectId = (value) =>
+  typeof value === "number"
+    ? String(value) // Dashboard object IDs are numbers in the API
+    : asString(value);
+const asPlainObject = (value) =>
+  value && typeof value === "object" && !Array.isArray(value) ? value : {};
+
+/**
+ * Validates a step, replacing missing or invalid values with defaults.
+ * @param {*} step - The step as read from the document.
+ * @returns {object} A valid step.
+ */
+const validateStep = (step) => {
+  const source = asPlainObject(step);
+  const defaults = createStep();
+
+  return {
+    id:
+      typeof source.id === "string" && /^[\w-]{1,64}$/.test(source.id)
+        ? source.id
+        : deriveStepId(source),
+    object: asObjectId(source.object),
+    objectName: asString(source.objectName),
+    objectType: asString(source.objectType),
+    region: parseRegion(source.region),
+    targets: Array.isArray(source.targets)
+      ? source.targets.map((target) => ({
+          object: asObjectId(target?.object),
+          objectName: asString(target?.objectName),
+          objectType: asString(target?.objectType),
+          region: parseRegion(target?.region),
+        }))
+      : [],
+    title: asString(source.title),
+    text: asString(source.text),
+    position: POSITIONS.includes(source.position)
+      ? source.position
+      : defaults.position,
+    actions: Array.isArray(source.actions)
+      ? source.actions.filter((action) => action && typeof action === "object")
+      : [],
+    type: STEP_TYPES.includes(source.type) ? source.type : defaults.type,
+    waitFor: { ...defaults.waitFor, ...asPlainObject(source.waitFor) },
+    hint: asString(source.hint),
+    duration:
+      typeof source.duration === "number"
+        ? String(source.duration)
+        : asString(source.duration),
+    spotlight: validateSpotlight(source.spotlight, defaults.spotlight),
+    transition: validateTransition(source.transition, defaults.transition),
+    conditions: Array.isArray(source.conditions)
+      ? source.conditions.map((condition) => ({
+          ...createCondition(),
+          ...asPlainObject(condition),
+        }))
+      : [],
+    translations: validateTranslations(source.translations, STEP_TEXT_FIELDS),
+  };
+};
+
+/**
+ * Makes the IDs of a tour's steps unique, for steps that were copied or whose
+ * derived IDs are the same, by numbering the later ones.
+ * @param {Array<object>} steps - The validated steps.
+ * @returns {Array<object>} The steps with unique IDs.
+ */
+const withUniqueIds = (steps) => {
+  const seen = new Set();
+  return steps.map((step) => {
+    let id = step.id;
+    for (let n = 2; seen.has(id); n++) id = `${step.id}-${n}`;
+    seen.add(id);
+    return id === step.id ? step : { ...step, id };
+  });
+};
+
+/**
+ * Validates a tour, replacing missing or invalid values with defaults.
+ * @param {*} tour - The tour as read from the document.
+ * @param {number} index - The position of the tour, used for a fallback name.
+ * @returns {object} A valid tour.
+ */
+const validateTour = (tour, index) => {
+  const source = asPlainObject(tour);
+
+  return {
+    name: asString(source.name) || `Tour ${index + 1}`,
+    description: asString(source.description),
+    translations: validateTranslations(source.translations, TOUR_TEXT_FIELDS),
+    version: Math.round(asNumber(source.version, 1, 1, 1000000)),
+    steps: Array.isArray(source.steps)
+      ? withUniqueIds(source.steps.map(validateStep))
+      : [],
+  };
+};
+
+/**
+ * Validates a settings document, upgrading older versions first. Anything
+ * missing or invalid falls back to its default so the tour always loads.
+ * @param {*} document - The parsed settings document.
+ * @returns {object} A valid settings document of the current version.
+ */
+export const validateSettings = (document) => {
+  let source = asPlainObject(document);
+
+  // Upgrade documents written by older versions of the extension
+  let version = asNumber(source.version, SETTINGS_VERSION, 1, Infinity);
+  while (version < SETTINGS_VERSION && MIGRATIONS[version]) {
+    source = MIGRATIONS[version](source);
+    version += 1;
+  }
+  if (version > SETTINGS_VERSION) {
+    console.warn(
+      `Tour settings version ${version} is newer than this extension supports; unknown options are ignored.`
+    );
+  }
+
+  const defaults = createDefaultGeneral();
+  const general = asPlainObject(source.general);
+  const autoplay = asPlainObject(general.autoplay);
+
+  return {
+    version: SETTINGS_VERSION,
+    general: {
+      font: validateFont(general.font),
+      backgroundColor:
+        asString(general.backgroundColor) || defaults.backgroundColor,
+      transparency: asNumber(
+        general.transparency,
+        defaults.transparency,
+        0,
+        100
+      ),
+      tooltipMaxWidth: asNumber(
+        general.tooltipMaxWidth,
+        defaults.tooltipMaxWidth,
+        150,
+        1000
+      ),
+      spotlight: validateSpotlight(general.spotlight, defaults.spotlight),
+      transition: validateTransition(general.transition, defaults.transition),
+      autoplay: {
+        playOnLoad: asBoolean(
+          autoplay.playOnLoad,
+          defaults.autoplay.playOnLoad
+        ),
+        defaultDuration: asNumber(
+          autoplay.defaultDuration,
+          defaults.autoplay.defaultDuration,
+          1,
+          3600
+        ),
+        loop: asBoolean(autoplay.loop, defaults.autoplay.loop),
+      },
+      localization: validateLocalization(general.localization),
+      autoStart: AUTO_START_OPTIONS.some((o) => o.value === general.autoStart)
+        ? general.autoStart
+        : defaults.autoStart,
+      theme: validateTheme(general.theme),
+      themePresets: validateThemePresets(general.themePresets),
+      analytics: validateAnalytics(general.analytics),
+      parameterSync: validateParameterSync(general.parameterSync),
+    },
+    tours: Array.isArray(source.tours) ? source.tours.map(validateTour) : [],
+  };
+};
+
+/**
+ * Builds a settings document from the flat keys used by earlier releases.
+ * Handles both the single-tour keys (`rowCount`, `tour${i}_*`) and the
+ * multi-tour keys (`tourCount`, `tour${t}_step${i}_*`).
+ * @param {object} flat - All saved settings as returned by `settings.getAll()`.
+ * @returns {object} A settings document of the current version.
+ */
+export const migrateLegacySettings = (flat) => {
+  /**
+   * Reads the steps of one tour from the keys that share a prefix.
+   * @param {string} prefix - Key prefix of the tour's steps.
+   * @param {number} rowCount - Number of steps saved for the tour.
+   * @returns {Array} The steps of the tour.
+   */
+  const readSteps = (prefix, rowCount) => {
+    const steps = [];
+    for (let i = 0; i < rowCount; i++) {
+      steps.push({
+        object: flat[`${prefix}${i}_object`],
+        title: flat[`${prefix}${i}_title`],
+        text: flat[`${prefix}${i}_text`],
+        position: flat[`${prefix}${i}_position`],
+        actions: parseActions(flat[`${prefix}${i}_actions`]),
+        type: flat[`${prefix}${i}_type`],
+        waitFor: parseWaitFor(flat[`${prefix}${i}_waitFor`]),
+        hint: flat[`${prefix}${i}_hint`],
+        duration: flat[`${prefix}${i}_duration`],
+      });
+    }
+    return steps;
+  };
+
+  const tours = [];
+  if (flat.tourCount !== undefined) {
+    const tourCount = parseInt(flat.tourCount, 10) || 0;
+    for (let t = 0; t < tourCount; t++) {
+      tours.push({
+        name: flat[`tour${t}_name`],
+        description: flat[`tour${t}_description`],
+        steps: readSteps(
+          `tour${t}_step`,
+          parseInt(flat[`tour${t}_rowCount`] || "0", 10)
+        ),
+      });
+    }
+  } else if (flat.rowCount !== undefined) {
+    tours.push({
+      name: "Tour 1",
+      steps: readSteps("tour", parseInt(flat.rowCount, 10) || 0),
+    });
+  }
+
+  return validateSettings({
+    version: SETTINGS_VERSION,
+    general: {
+      font: { family: flat.selectedFont, source: "google" },
+      backgroundColor: flat.backgroundColor,
+      transparency: flat.transparency,
+      autoplay: {
+        playOnLoad: flat.autoplay === "true",
+        defaultDuration: flat.autoplayDuration,
+        loop: flat.autoplayLoop !== "false",
+      },
+    },
+    tours,
+  });
+};
+
+/**
+ * Loads the settings document from Tableau, migrating legacy keys if needed.
+ * @returns {object} A valid settings document of the current version.
+ */
+export const loadSettings = () => {
+  const flat = window.tableau.extensions.settings.getAll();
+
+  if (flat[SETTINGS_KEY] === undefined) {
+    return migrateLegacySettings(flat);
+  }
+
+  try {
+    return validateSettings(JSON.parse(flat[SETTINGS_KEY]));
+  } catch (error) {
+    console.error("Error reading tour settings; using defaults:", error);
+    return createDefaultSettings();
+  }
+};
+
+/**
+ * Measures how many bytes a settings document takes up once saved.
+ * @param {object} document - The settings document.
+ * @returns {number} The size in bytes.
+ */
+export const getSettingsSize = (document) =>
+  new Blob([JSON.stringify(document)]).size;
+
+/**
+ * Saves the settings document to Tableau, removing any legacy keys.
+ * @param {object} document - The settings document to save.
+ * @returns {Promise<void>} Resolves once Tableau has persisted the settings.
+ */
+export const saveSettingsAsync = (document) => {
+  const settings = window.tableau.extensions.settings;
+
+  // Remove every other key so migrated workbooks no longer carry legacy data
+  Object.keys(settings.getAll()).forEach((key) => {
+    if (key !== SETTINGS_KEY) settings.erase(key);
+  });
+
+  settings.set(SETTINGS_KEY, JSON.stringify(validateSettings(document)));
+  return settings.saveAsync();
+};
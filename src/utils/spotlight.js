@@ -0,0 +1,87 @@
+/**
+ * Spotlight styling: the cutout in the overlay around the highlighted object.
+ *
+ * The style is saved once in the general settings and may be overridden per
+ * step; an empty value on a step means "use the general setting".
+ * { padding, radius, outlineWidth, outlineColor, effect }
+ */
+
+// Attention effects the spotlight outline can use
+export const SPOTLIGHT_EFFECTS = [
+  { value: "none", label: "None" },
+  { value: "pulse", label: "Pulse" },
+  { value: "glow", label: "Glow" },
+];
+
+/**
+ * Creates the spotlight style used when nothing has been saved.
+ * @returns {object} The default spotlight style.
+ */
+export const createDefaultSpotlight = () => ({
+  padding: 6, // Space between the object and the edge of the cutout, in pixels
+  radius: 8, // Corner radius of the cutout, in pixels
+  outlineWidth: 0, // Width of the highlight border; 0 draws none
+  outlineColor: "#FFFFFF", // Color of the highlight border and glow
+  effect: "none", // Attention effect around the cutout
+});
+
+/**
+ * Creates an empty per-step override that uses every general setting.
+ * @returns {object} A spotlight override with all values inherited.
+ */
+export const createSpotlightOverride = () => ({
+  padding: "",
+  radius: "",
+  outlineWidth: "",
+  outlineColor: "",
+  effect: "",
+});
+
+/**
+ * Validates a spotlight style, replacing invalid values with the fallback.
+ * With an empty fallback (a step override) missing values stay empty.
+ * @param {*} value - The spotlight style as read from the settings.
+ * @param {object} fallback - Values used for anything missing or invalid.
+ * @returns {object} A valid spotlight style.
+ */
+export const validateSpotlight = (value, fallback) => {
+  const source = value && typeof value === "object" ? value : {};
+
+  /**
+   * Reads a number within a range, or the fallback.
+   * @param {string} key - The property to read.
+   * @param {number} max - The largest allowed value.
+   * @returns {number|string} The number, or the fallback value.
+   */
+  const readNumber = (key, max) => {
+    const number = parseFloat(source[key]);
+    return isNaN(number) ? fallback[key] : Math.min(Math.max(number, 0), max);
+  };
+
+  return {
+    padding: readNumber("padding", 100),
+    radius: readNumber("radius", 100),
+    outlineWidth: readNumber("outlineWidth", 20),
+    outlineColor:
+      typeof source.outlineColor === "string" && source.outlineColor
+        ? source.outlineColor
+        : fallback.outlineColor,
+    effect: SPOTLIGHT_EFFECTS.some((e) => e.value === source.effect)
+      ? source.effect
+      : fallback.effect,
+  };
+};
+
+/**
+ * Combines the general spotlight style with a step's overrides.
+ * @param {object} general - The general spotlight style.
+ * @param {object} [override] - The step's spotlight overrides.
+ * @returns {object} The spotlight style for the step.
+ */
+export const resolveSpotlight = (general, override) => {
+  const style = { ...general };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value !== "" && value !== undefined) style[key] = value;
+  });
+  return style;
+};
@@ -0,0 +1,171 @@
+/**
+ * Step conditions decide whether a step is shown to the current viewer, for
+ * example only when a parameter is set to a certain audience. All conditions
+ * of a step must be met; steps without conditions are always shown.
+ *
+ * A condition is a plain object saved with its step:
+ * { type, parameter, worksheet, field, operator, values }
+ * where `values` is a comma-separated list and the condition is met when the
+ * current value is ("is") or is not ("isNot") one of them.
+ */
+import { parseValues } from "./tourActions";
+
+// Kinds of condition offered in the configuration dialog
+export const CONDITION_TYPES = [
+  { value: "parameter", label: "Parameter" },
+  { value: "filter", label: "Filter" },
+  { value: "data", label: "Data value" },
+];
+
+// Ways a condition compares the current value with its values
+export const CONDITION_OPERATORS = [
+  { value: "is", label: "is one of" },
+  { value: "isNot", label: "is not one of" },
+];
+
+/**
+ * Creates a new condition with default values.
+ * @returns {object} A parameter condition with nothing chosen yet.
+ */
+export const createCondition = () => ({
+  type: "parameter",
+  parameter: "",
+  worksheet: "",
+  field: "",
+  operator: "is",
+  values: "",
+});
+
+/**
+ * Checks whether any of the current values is one of the expected values.
+ * Values are compared as text, ignoring case, against both the raw and the
+ * formatted value so "true", "True" and "Yes" style values all work.
+ * @param {Array<object>} current - Data values with `value` and `formattedValue`.
+ * @param {Array<string>} expected - The values from the condition.
+ * @returns {boolean} True if there is at least one match.
+ */
+const matchesAny = (current, expected) => {
+  const wanted = expected.map((value) => value.toLowerCase());
+  return current.some((dataValue) =>
+    [dataValue.value, dataValue.formattedValue].some((value) =>
+      wanted.includes(String(value).toLowerCase())
+    )
+  );
+};
+
+/**
+ * Reads the values a condition compares against.
+ * @param {object} condition - The condition to read values for.
+ * @returns {Promise<Array<object>|null>} The current data values, or null if
+ *   everything is included (an unfiltered filter).
+ */
+const readCurrentValuesAsync = async (condition) => {
+  const tableau = window.tableau;
+  const dashboard = tableau.extensions.dashboardContent.dashboard;
+
+  if (condition.type === "parameter") {
+    const parameter = await dashboard.findParameterAsync(condition.parameter);
+    if (!parameter) {
+      throw new Error(`Parameter "${condition.parameter}" was not found.`);
+    }
+    return [parameter.currentValue];
+  }
+
+  const worksheet = dashboard.worksheets.find(
+    (ws) => ws.name === condition.worksheet
+  );
+  if (!worksheet) {
+    throw new Error(`Worksheet "${condition.worksheet}" was not found.`);
+  }
+
+  if (condition.type === "filter") {
+    const filters = await worksheet.getFiltersAsync();
+    const filter = filters.find((f) => f.fieldName === condition.field);
+    if (!filter || filter.filterType !== tableau.FilterType.Categorical) {
+      throw new Error(
+        `Categorical filter "${condition.field}" was not found on "${condition.worksheet}".`
+      );
+    }
+    // An exclude filter keeps everything except its values, which this cannot list
+    if (filter.isExcludeMode) {
+      throw new Error(`Filter "${condition.field}" excludes values.`);
+    }
+    return filter.isAllSelected ? null : filter.appliedValues;
+  }
+
+  // Data values come from the worksheet's summary data
+  const data = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
+  const column = data.columns.find((c) => c.fieldName === condition.field);
+  if (!column) {
+    throw new Error(
+      `Field "${condition.field}" is not in the data of "${condition.worksheet}".`
+    );
+  }
+  return data.data.map((row) => row[column.index]);
+};
+
+/**
+ * Evaluates one condition against the dashboard. A condition that cannot be
+ * evaluated, for example because its parameter was removed, is not met.
+ * @param {object} condition - The condition to evaluate.
+ * @returns {Promise<boolean>} True if the condition is met.
+ */
+export const evaluateConditionAsync = async (condition) => {
+  try {
+    const current = await readCurrentValuesAsync(condition);
+    const expected = parseValues(condition.values);
+    const isMatch = current === null ? true : matchesAny(current, expected);
+    return condition.operator === "isNot" ? !isMatch : isMatch;
+  } catch (error) {
+    console.warn("Step condition could not be evaluated:", error);
+    return false;
+  }
+};
+
+/**
+ * Keeps the items whose conditions are all met.
+ * @param {Array<object>} items - Tour items, each with optional `conditions`.
+ * @returns {Promise<Array<object>>} The visible items, in order. The same
+ *   array is returned when no item has conditions.
+ */
+export const getVisibleItemsAsync = async (items) => {
+  if (!items.some((item) => item.conditions?.length > 0)) return items;
+
+  const visible = await Promise.all(
+    items.map(async (item) => {
+      const results = await Promise.all(
+        (item.conditions || []).map(evaluateConditionAsync)
+      );
+      return results.every(Boolean);
+    })
+  );
+  return items.filter((_, index) => visible[index]);
+};
+
+/**
+ * Listens for the dashboard changes that can change which steps are shown:
+ * any filter or parameter change, since data values follow both.
+ * @param {Function} onChange - Called after each change.
+ * @returns {Promise<Function>} A function that removes the listeners.
+ */
+export const listenForConditionChangesAsync = async (onChange) => {
+  const tableau = window.tableau;
+  const dashboard = tableau.extensions.dashboardContent.dashboard;
+  const parameters = await dashboard.getParametersAsync();
+
+  const unregisterFns = [
+    ...dashboard.worksheets.map((worksheet) =>
+      worksheet.addEventListener(tableau.TableauEventType.FilterChanged, () =>
+        onChange()
+      )
+    ),
+    ...parameters.map((parameter) =>
+      parameter.addEventListener(
+        tableau.TableauEventType.ParameterChanged,
+        () => onChange()
+      )
+    ),
+  ];
+
+  return () => unregisterFns.forEach((unregister) => unregister());
+};
@@ -0,0 +1,74 @@
+/**
+ * Reordering, duplicating and deleting steps of a tour, one at a time or as a
+ * selection. Steps are identified by their saved `id`; every function returns
+ * a new array and keeps the order of the steps it moves.
+ */
+import { createStepId } from "./settings";
+
+/**
+ * Moves the selected steps one place up or down. A selected step next to
+ * another selected step, or at the end it moves towards, stays in place.
+ * @param {Array<object>} steps - The steps of the tour.
+ * @param {Array<string>} ids - IDs of the steps to move.
+ * @param {number} direction - -1 to move up, 1 to move down.
+ * @returns {Array<object>} The reordered steps.
+ */
+export const moveSteps = (steps, ids, direction) => {
+  const selected = new Set(ids);
+  const result = [...steps];
+  const indexes = result.map((_, index) => index);
+  if (direction > 0) indexes.reverse(); // Move the step nearest the end first
+
+  indexes.forEach((index) => {
+    const other = index + direction;
+    if (other < 0 || other >= result.length) return;
+    if (selected.has(result[index].id) && !selected.has(result[other].id)) {
+      [result[index], result[other]] = [result[other], result[index]];
+    }
+  });
+  return result;
+};
+
+/**
+ * Moves the selected steps together to a new position, as when dragging.
+ * @param {Array<object>} steps - The steps of the tour.
+ * @param {Array<string>} ids - IDs of the steps to move.
+ * @param {number} beforeIndex - Index of the step they are dropped in front
+ *   of, or the number of steps to drop them at the end.
+ * @returns {Array<object>} The reordered steps.
+ */
+export const moveStepsTo = (steps, ids, beforeIndex) => {
+  const selected = new Set(ids);
+  const moving = steps.filter((step) => selected.has(step.id));
+  const rest = steps.filter((step) => !selected.has(step.id));
+
+  // Count only the steps that stay, since the moving ones leave their places
+  const insertAt = steps
+    .slice(0, beforeIndex)
+    .filter((step) => !selected.has(step.id)).length;
+
+  return [...rest.slice(0, insertAt), ...moving, ...rest.slice(insertAt)];
+};
+
+/**
+ * Copies the selected steps, placing each copy right after its original.
+ * Copies get new IDs, so analytics count them separately.
+ * @param {Array<object>} steps - The steps of the tour.
+ * @param {Array<string>} ids - IDs of the steps to copy.
+ * @returns {Array<object>} The steps with the copies added.
+ */
+export const duplicateSteps = (steps, ids) =>
+  steps.flatMap((step) =>
+    ids.includes(step.id)
+      ? [step, { ...structuredClone(step), id: createStepId() }] // Deep copy so edits stay independent
+      : [step]
+  );
+
+/**
+ * Removes the selected steps.
+ * @param {Array<object>} steps - The steps of the tour.
+ * @param {Array<string>} ids - IDs of the steps to remove.
+ * @returns {Array<object>} The remaining steps.
+ */
+export const deleteSteps = (steps, ids) =>
+  steps.filter((step) => !ids.includes(step.id));
@@ -0,0 +1,168 @@
+/**
+ * Theme of the tour: the look of the tooltip, the navigation arrows and the
+ * step indicators. Saved in the general settings as
+ * { tooltipBackground, textColor, borderColor, borderWidth, shadow, fontSize,
+ *   navigationColor, indicatorColor, indicatorActiveColor }
+ *
+ * Presets also set the overlay color and transparency, since the navigation
+ * needs to stand out against the overlay. Authors can save their own presets,
+ * which are kept with the workbook's settings as { name, theme, backgroundColor, transparency }.
+ */
+
+// Shadows the tooltip can cast, as CSS box-shadow values
+export const TOOLTIP_SHADOWS = [
+  { value: "none", label: "None", css: "none" },
+  { value: "soft", label: "Soft", css: "0px 4px 8px rgba(0, 0, 0, 0.3)" },
+  { value: "strong", label: "Strong", css: "0px 8px 24px rgba(0, 0, 0, 0.6)" },
+];
+
+/**
+ * Creates the theme used when nothing has been saved, which is the look the
+ * tour has always had: a white tooltip and light controls for dark overlays.
+ * @returns {object} The default theme.
+ */
+export const createDefaultTheme = () => ({
+  tooltipBackground: "#FFFFFF",
+  textColor: "#000000",
+  borderColor: "#E0E0E0",
+  borderWidth: 0, // No border; 0 draws none
+  shadow: "soft",
+  fontSize: 16, // Body text size in pixels; the title and hint follow it
+  navigationColor: "#EEEEEE", // Arrows, play and close buttons
+  indicatorColor: "#BBBBBB", // Step indicators other than the active one
+  indicatorActiveColor: "#FFFFFF", // The active step indicator
+});
+
+// Built-in presets, including the overlay they are designed for
+export const THEME_PRESETS = [
+  {
+    name: "Light",
+    backgroundColor: "#FFFFFF",
+    transparency: 70,
+    theme: {
+      tooltipBackground: "#FFFFFF",
+      textColor: "#212121",
+      borderColor: "#BDBDBD",
+      borderWidth: 1,
+      shadow: "soft",
+      fontSize: 16,
+      navigationColor: "#424242",
+      indicatorColor: "#9E9E9E",
+      indicatorActiveColor: "#212121",
+    },
+  },
+  {
+    name: "Dark",
+    backgroundColor: "#000000",
+    transparency: 70,
+    theme: {
+      tooltipBackground: "#212121",
+      textColor: "#FAFAFA",
+      borderColor: "#616161",
+      borderWidth: 1,
+      shadow: "strong",
+      fontSize: 16,
+      navigationColor: "#EEEEEE",
+      indicatorColor: "#9E9E9E",
+      indicatorActiveColor: "#FFFFFF",
+    },
+  },
+  {
+    name: "High contrast",
+    backgroundColor: "#000000",
+    transparency: 85,
+    theme: {
+      tooltipBackground: "#000000",
+      textColor: "#FFFFFF",
+      borderColor: "#FFFF00",
+      borderWidth: 3,
+      shadow: "none",
+      fontSize: 18,
+      navigationColor: "#FFFF00",
+      indicatorColor: "#FFFFFF",
+      indicatorActiveColor: "#FFFF00",
+    },
+  },
+];
+
+// Color properties of a theme, checked as #RRGGBB like the color inputs produce
+const COLOR_KEYS = [
+  "tooltipBackground",
+  "textColor",
+  "borderColor",
+  "navigationColor",
+  "indicatorColor",
+  "indicatorActiveColor",
+];
+
+/**
+ * Validates a theme, replacing missing or invalid values with defaults.
+ * @param {*} value - The theme as read from the settings.
+ * @returns {object} A valid theme.
+ */
+export const validateTheme = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const defaults = createDefaultTheme();
+
+  /**
+   * Reads a number within a range, or the default.
+   * @param {string} key - The property to read.
+   * @param {number} min - The smallest allowed value.
+   * @param {number} max - The largest allowed value.
+   * @returns {number} The number.
+   */
+  const readNumber = (key, min, max) => {
+    const number = parseFloat(source[key]);
+    return isNaN(number) ? defaults[key] : Math.min(Math.max(number, min), max);
+  };
+
+  return {
+    ...Object.fromEntries(
+      COLOR_KEYS.map((key) => [
+        key,
+        /^#[0-9a-f]{6}$/i.test(source[key]) ? source[key] : defaults[key],
+      ])
+    ),
+    borderWidth: readNumber("borderWidth", 0, 10),
+    shadow: TOOLTIP_SHADOWS.some((s) => s.value === source.shadow)
+      ? source.shadow
+      : defaults.shadow,
+    fontSize: readNumber("fontSize", 10, 32),
+  };
+};
+
+/**
+ * Validates the custom presets saved by authors, dropping unnamed ones.
+ * @param {*} value - The presets as read from the settings.
+ * @returns {Array<object>} Valid presets.
+ */
+export const validateThemePresets = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((preset) => typeof preset?.name === "string" && preset.name.trim())
+    .map((preset) => ({
+      name: preset.name.trim(),
+      backgroundColor:
+        typeof preset.backgroundColor === "string"
+          ? preset.backgroundColor
+          : "#000000",
+      transparency: Math.min(
+        Math.max(parseFloat(preset.transparency) || 0, 0),
+        100
+      ),
+      theme: validateTheme(preset.theme),
+    }));
+
+/**
+ * Builds the styles of the tooltip from a theme.
+ * @param {object} theme - A valid theme.
+ * @returns {object} `sx` properties for the tooltip container.
+ */
+export const getTooltipSx = (theme) => ({
+  backgroundColor: theme.tooltipBackground,
+  color: theme.textColor,
+  border:
+    theme.borderWidth > 0
+      ? `${theme.borderWidth}px solid ${theme.borderColor}`
+      : "none",
+  boxShadow: TOOLTIP_SHADOWS.find((s) => s.value === theme.shadow).css,
+});
@@ -0,0 +1,246 @@
+/**
+ * Step actions run against the dashboard when a tour step becomes active.
+ * Each action can optionally be reverted when the step is left or the tour ends.
+ *
+ * An action is a plain object saved with its step:
+ * { type, worksheet, field, values, parameter, value, revert }
+ * where `values` is a comma-separated list of field values.
+ */
+
+// Action types offered in the configuration dialog
+export const ACTION_TYPES = [
+  { value: "filter", label: "Apply filter" },
+  { value: "clearFilter", label: "Clear filter" },
+  { value: "parameter", label: "Change parameter" },
+  { value: "selectMarks", label: "Select marks" },
+  { value: "clearMarks", label: "Clear selection" },
+];
+
+// Names Tableau gives aggregated fields, such as SUM(Sales); date parts such
+// as YEAR(Order Date) look alike but are dimensions
+const AGGREGATED_FIELD =
+  /^(SUM|AVG|MIN|MAX|CNT|CNTD|MEDN|MEDIAN|ATTR|AGG|STDEV|STDEVP|VAR|VARP|PCT\d+)\(.*\)$/;
+
+/**
+ * Creates a new action with default values.
+ * @returns {object} An action that applies a filter and reverts on leave.
+ */
+export const createAction = () => ({
+  type: "filter",
+  worksheet: "",
+  field: "",
+  values: "",
+  parameter: "",
+  value: "",
+  revert: true,
+});
+
+/**
+ * Splits a comma-separated list of values into trimmed, non-empty entries.
+ * @param {string} values - The values as entered in the configuration dialog.
+ * @returns {Array<string>} The individual values.
+ */
+export const parseValues = (values) =>
+  (values || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter((value) => value !== "");
+
+/**
+ * Finds a worksheet on the current dashboard by name.
+ * @param {string} name - The name of the worksheet.
+ * @returns {object} The Tableau worksheet.
+ */
+const findWorksheet = (name) => {
+  const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+  const worksheet = dashboard.worksheets.find((ws) => ws.name === name);
+  if (!worksheet) {
+    throw new Error(`Worksheet "${name}" was not found on the dashboard.`);
+  }
+  return worksheet;
+};
+
+/**
+ * Builds a function that restores a worksheet filter to its current state.
+ * @param {object} worksheet - The Tableau worksheet holding the filter.
+ * @param {string} field - The name of the filtered field.
+ * @returns {Promise<Function>} A function that restores the filter.
+ */
+const captureFilterAsync = async (worksheet, field) => {
+  const tableau = window.tableau;
+  const filters = await worksheet.getFiltersAsync();
+  const previous = filters.find((filter) => filter.fieldName === field);
+
+  // Only categorical filters with an explicit selection can be replayed;
+  // everything else is restored by clearing the filter again
+  if (
+    previous &&
+    previous.filterType === tableau.FilterType.Categorical &&
+    !previous.isAllSelected
+  ) {
+    const values = previous.appliedValues.map((value) => value.value);
+    return () =>
+      worksheet.applyFilterAsync(
+        field,
+        values,
+        tableau.FilterUpdateType.Replace,
+        { isExcludeMode: previous.isExcludeMode }
+      );
+  }
+
+  return () => worksheet.clearFilterAsync(field);
+};
+
+/**
+ * Reads the marks selected on a worksheet so the selection can be restored.
+ * Each mark is re-selected by the values of its dimensions; aggregated fields
+ * such as SUM(Sales) cannot be selected by value and are left out.
+ * @param {object} worksheet - The worksheet.
+ * @returns {Promise<Function>} A function that restores the selection.
+ */
+const captureSelectionAsync = async (worksheet) => {
+  const tableau = window.tableau;
+  const { data } = await worksheet.getSelectedMarksAsync();
+
+  const marks = data
+    .flatMap((table) => {
+      const columns = table.columns.filter(
+        (column) => !AGGREGATED_FIELD.test(column.fieldName)
+      );
+      return table.data.map((row) =>
+        columns.map((column) => ({
+          fieldName: column.fieldName,
+          value: String(row[column.index].value),
+        }))
+      );
+    })
+    .filter((criteria) => criteria.length > 0);
+
+  if (marks.length === 0) return () => worksheet.clearSelectedMarksAsync();
+
+  // Replace the selection with the first mark, then add the others one by one
+  return async () => {
+    for (const [index, criteria] of marks.entries()) {
+      await worksheet.selectMarksByValueAsync(
+        criteria,
+        index === 0
+          ? tableau.SelectionUpdateType.Replace
+          : tableau.SelectionUpdateType.Add
+      );
+    }
+  };
+};
+
+/**
+ * Runs a single action against the dashboard.
+ * @param {object} action - The action to run.
+ * @returns {Promise<Function|null>} A function that undoes the action, if possible.
+ */
+const runActionAsync = async (action) => {
+  const tableau = window.tableau;
+  const dashboard = tableau.extensions.dashboardContent.dashboard;
+
+  switch (action.type) {
+    case "filter": {
+      const worksheet = findWorksheet(action.worksheet);
+      const revert = await captureFilterAsync(worksheet, action.field);
+      await worksheet.applyFilterAsync(
+        action.field,
+        parseValues(action.values),
+        tableau.FilterUpdateType.Replace
+      );
+      return revert;
+    }
+
+    case "clearFilter": {
+      const worksheet = findWorksheet(action.worksheet);
+      const revert = await captureFilterAsync(worksheet, action.field);
+      await worksheet.clearFilterAsync(action.field);
+      return revert;
+    }
+
+    case "parameter": {
+      const parameter = await dashboard.findParameterAsync(action.parameter);
+      if (!parameter) {
+        throw new Error(`Parameter "${action.parameter}" was not found.`);
+      }
+      const previousValue = parameter.currentValue.value;
+      await parameter.changeValueAsync(action.value);
+      return () => parameter.changeValueAsync(previousValue);
+    }
+
+    case "selectMarks": {
+      const worksheet = findWorksheet(action.worksheet);
+      const revert = await captureSelectionAsync(worksheet);
+      await worksheet.selectMarksByValueAsync(
+        [{ fieldName: action.field, value: parseValues(action.values) }],
+        tableau.SelectionUpdateType.Replace
+      );
+      return revert;
+    }
+
+    case "clearMarks": {
+      const worksheet = findWorksheet(action.worksheet);
+      const revert = await captureSelectionAsync(worksheet);
+      await worksheet.clearSelectedMarksAsync();
+      return revert;
+    }
+
+    default:
+      throw new Error(`Unknown step action type "${action.type}".`);
+  }
+};
+
+/**
+ * Runs the actions of a step in order. A failing action is logged and
+ * skipped so the remaining actions and the tour itself keep working.
+ * @param {Array<object>} actions - The actions configured for the step.
+ * @returns {Promise<Array<Function>>} Functions that revert the actions flagged to revert.
+ */
+export const runStepActionsAsync = async (actions) => {
+  const reverts = [];
+
+  for (const action of actions || []) {
+    try {
+      const revert = await runActionAsync(action);
+      if (action.revert && revert) {
+        reverts.push(revert);
+      }
+    } catch (error) {
+      console.error("Error running step action:", error);
+    }
+  }
+
+  return reverts;
+};
+
+/**
+ * Reverts previously run actions, most recent first.
+ * @param {Array<Function>} reverts - Functions returned by runStepActionsAsync.
+ * @returns {Promise<void>}
+ */
+export const revertStepActionsAsync = async (reverts) => {
+  for (const revert of [...(reverts || [])].reverse()) {
+    try {
+      await revert();
+    } catch (error) {
+      console.error("Error reverting step action:", error);
+    }
+  }
+};
+
+/**
+ * Reads the actions of a step from their saved JSON form.
+ * @param {string} value - The saved settings value.
+ * @returns {Array<object>} The actions, or an empty list if none are saved or the value is invalid.
+ */
+export const parseActions = (value) => {
+  if (!value) return [];
+  try {
+    const actions = JSON.parse(value);
+    return Array.isArray(actions) ? actions : [];
+  } catch (error) {
+    console.error("Error reading step actions:", error);
+    return [];
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Import and export of the whole tour configuration as a JSON file, so the
+ * same tours can be moved between copies of a workbook or similar dashboards.
+ *
+ * Exported files wrap the settings document, which holds the name and type of
+ * each step's dashboard object. They are used to find the object again when
+ * its ID does not exist in the dashboard the file is imported into.
+ */
+import { validateSettings } from "./settings";
+import { recordObjectNames, suggestReplacement } from "./objectReferences";
+
+// Marks a JSON file as a Tableau Tour export
+export const EXPORT_FORMAT = "tableau-tour";
+
+/**
+ * Downloads text as a file through a temporary link.
+ * @param {string} content - The contents of the file.
+ * @param {string} type - The MIME type of the file.
+ * @param {string} fileName - The file name; characters not allowed in file names are replaced.
+ */
+export const downloadFile = (content, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = window.document.createElement("a");
+  link.href = url;
+  link.download = fileName.replace(/[\\/:*?"<>|]/g, "_");
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads the settings document as a JSON file.
+ * @param {object} document - The settings document to export.
+ * @param {Array} dashboardObjects - The dashboard objects, as `{ id, name, type }`.
+ * @param {string} dashboardName - The name of the dashboard, used for the file name.
+ */
+export const exportTourFile = (document, dashboardObjects, dashboardName) => {
+  // Record the object names next to the IDs so imports can remap by name
+  const settings = recordObjectNames(document, dashboardObjects);
+
+  const file = {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    dashboard: dashboardName,
+    settings,
+  };
+
+  downloadFile(
+    JSON.stringify(file, null, 2),
+    "application/json",
+    `${dashboardName || "tour"}.tour.json`
+  );
+};
+
+/**
+ * Works out what importing a file would change, without changing anything.
+ * @param {string} text - The contents of the imported file.
+ * @param {Array} dashboardObjects - The objects of this dashboard, as `{ id, name, type }`.
+ * @returns {object} `{ settings, report }` where `settings` is the document
+ *   to apply and `report` lists the tours, steps and remapped objects.
+ * @throws {Error} If the file is not valid JSON or not a tour export.
+ */
+export const planImport = (text, dashboardObjects) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  // Accept both wrapped exports and a bare settings document
+  const source = parsed?.format === EXPORT_FORMAT ? parsed.settings : parsed;
+  if (!source || typeof source !== "object" || !Array.isArray(source.tours)) {
+    throw new Error("The file does not contain a tour configuration.");
+  }
+
+  const settings = validateSettings(source);
+  const ids = new Set(dashboardObjects.map((object) => String(object.id)));
+  const report = {
+    dashboard: parsed.dashboard || "",
+    tours: settings.tours.length,
+    steps: 0,
+    matched: 0, // Objects whose ID exists in this dashboard
+    remapped: [], // Objects replaced by an object with the same name
+    unmatched: [], // Objects that could not be found
+  };
+
+  /**
+   * Points a step or extra highlight at an object of this dashboard, by ID if
+   * it exists and otherwise by name and type, and records the outcome in the report.
+   * @param {object} target - The step or highlight; its `object` is updated.
+   * @param {object} label - Describes the step in the report.
+   */
+  const remap = (target, label) => {
+    if (!target.object) return;
+
+    if (ids.has(target.object)) {
+      report.matched += 1;
+      return;
+    }
+
+    const { objectName } = target;
+    const match = suggestReplacement(target, dashboardObjects);
+    if (match) {
+      report.remapped.push({
+        ...label,
+        objectName,
+        from: target.object,
+        to: match.id,
+      });
+      target.object = String(match.id);
+      target.objectName = match.name;
+      target.objectType = match.type || "";
+    } else {
+      report.unmatched.push({ ...label, objectName });
+      target.object = ""; // Leave the step for the author to point at an object
+      target.region = null; // An offset within the missing object means nothing on its own
+    }
+  };
+
+  settings.tours.forEach((tour) => {
+    tour.steps.forEach((step, i) => {
+      report.steps += 1;
+
+      const label = { tour: tour.name, step: i + 1, title: step.title };
+      remap(step, label);
+      step.targets.forEach((target) => remap(target, label));
+    });
+  });
+
+  return { settings, report };
+};
@@ -0,0 +1,132 @@
+/**
+ * Transitions between steps: how the spotlight moves to the next target and
+ * how the tooltip appears. Like the spotlight style, the transition is saved
+ * once in the general settings and may be overridden per step; an empty value
+ * on a step means "use the general setting". The step being moved to decides.
+ * { spotlight, tooltip, duration, easing }
+ * Viewers who prefer reduced motion always get a hard cut.
+ */
+
+// How the spotlight gets from one target to the next
+export const SPOTLIGHT_TRANSITIONS = [
+  { value: "morph", label: "Morph" }, // Position, size and corners change together
+  { value: "slide", label: "Slide, then resize" }, // Moves at its old size, then fits the target
+  { value: "none", label: "Cut" },
+];
+
+// How the tooltip of the next step appears
+export const TOOLTIP_TRANSITIONS = [
+  { value: "fade", label: "Fade" },
+  { value: "slide", label: "Slide" },
+  { value: "zoom", label: "Zoom" },
+  { value: "none", label: "Cut" },
+];
+
+// CSS timing functions offered for the transitions
+export const TRANSITION_EASINGS = [
+  { value: "ease-in-out", label: "Ease in and out" },
+  { value: "ease-out", label: "Ease out" },
+  { value: "linear", label: "Linear" },
+  { value: "cubic-bezier(0.34, 1.56, 0.64, 1)", label: "Overshoot" },
+];
+
+/**
+ * Creates the transition used when nothing has been saved.
+ * @returns {object} The default transition.
+ */
+export const createDefaultTransition = () => ({
+  spotlight: "morph",
+  tooltip: "fade",
+  duration: 400, // Milliseconds for each part of the transition
+  easing: "ease-in-out",
+});
+
+/**
+ * Creates an empty per-step override that uses every general setting.
+ * @returns {object} A transition override with all values inherited.
+ */
+export const createTransitionOverride = () => ({
+  spotlight: "",
+  tooltip: "",
+  duration: "",
+  easing: "",
+});
+
+/**
+ * Validates a transition, replacing invalid values with the fallback.
+ * With an empty fallback (a step override) missing values stay empty.
+ * @param {*} value - The transition as read from the settings.
+ * @param {object} fallback - Values used for anything missing or invalid.
+ * @returns {object} A valid transition.
+ */
+export const validateTransition = (value, fallback) => {
+  const source = value && typeof value === "object" ? value : {};
+  const duration = parseFloat(source.duration);
+
+  /**
+   * Reads one of a list of options, or the fallback.
+   * @param {string} key - The property to read.
+   * @param {Array<object>} options - The allowed options.
+   * @returns {string} The option, or the fallback value.
+   */
+  const readOption = (key, options) =>
+    options.some((option) => option.value === source[key])
+      ? source[key]
+      : fallback[key];
+
+  return {
+    spotlight: readOption("spotlight", SPOTLIGHT_TRANSITIONS),
+    tooltip: readOption("tooltip", TOOLTIP_TRANSITIONS),
+    duration: isNaN(duration)
+      ? fallback.duration
+      : Math.min(Math.max(Math.round(duration), 0), 3000),
+    easing: readOption("easing", TRANSITION_EASINGS),
+  };
+};
+
+/**
+ * Builds the CSS transition of the spotlight cutouts.
+ * @param {object} transition - The resolved transition.
+ * @returns {string} The CSS transition value.
+ */
+export const getSpotlightTransition = ({ spotlight, duration, easing }) => {
+  if (spotlight === "none" || duration === 0) return "none";
+
+  if (spotlight === "slide") {
+    // Move for the first 60% at the old size, then resize for the rest
+    const move = Math.round(duration * 0.6);
+    return [
+      `x ${move}ms ${easing}`,
+      `y ${move}ms ${easing}`,
+      `width ${duration - move}ms ${easing} ${move}ms`,
+      `height ${duration - move}ms ${easing} ${move}ms`,
+      `rx ${duration - move}ms ${easing} ${move}ms`,
+    ].join(", ");
+  }
+
+  return ["x", "y", "width", "height", "rx"]
+    .map((property) => `${property} ${duration}ms ${easing}`)
+    .join(", ");
+};
+
+/**
+ * Tells how long the tooltip waits for the spotlight to reach its target.
+ * @param {object} transition - The resolved transition.
+ * @returns {number} The delay in milliseconds.
+ */
+export const getTooltipDelay = ({ spotlight, duration }) =>
+  spotlight === "none" ? 0 : duration;
+
+/**
+ * Combines the general transition with a step's overrides.
+ * @param {object} general - The general transition.
+ * @param {object} [override] - The step's transition overrides.
+ * @returns {object} The transition into the step.
+ */
+export const resolveTransition = (general, override) => {
+  const transition = { ...general };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value !== "" && value !== undefined) transition[key] = value;
+  });
+  return validateTransition(transition, general); // Overrides may still be typed text
+};
@@ -0,0 +1,212 @@
+/**
+ * Export and import of every translatable string as a CSV translation table,
+ * so translators can work in a spreadsheet outside Tableau.
+ *
+ * The first column holds a key naming the string, and there is one column per
+ * language with the default language first:
+ *   ui.<key>                          Text of the tour's own controls
+ *   tour.<n>.name, tour.<n>.description
+ *   tour.<n>.step.<m>.title, .text, .hint
+ * Tours and steps are numbered from 1 in the order they appear.
+ */
+import {
+  STEP_TEXT_FIELDS,
+  TOUR_TEXT_FIELDS,
+  UI_STRINGS,
+  normalizeLanguage,
+} from "./localization";
+import { validateSettings } from "./settings";
+import { downloadFile } from "./tourTransfer";
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break.
+ * @param {string} value - The cell value.
+ * @returns {string} The cell as written to the file.
+ */
+const toCsvCell = (value) =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Parses CSV text into rows of cells, following RFC 4180 quoting.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, without blank lines.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'; // An escaped quote inside a quoted cell
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+};
+
+/**
+ * Lists every translatable string of a settings document with a getter and a
+ * setter per language, so export and import share the same keys.
+ * @param {object} document - A valid settings document.
+ * @returns {Array<object>} Entries of `{ key, get(language), set(language, value) }`.
+ */
+const listEntries = (document) => {
+  const { localization } = document.general;
+  const isDefault = (language) => language === localization.defaultLanguage;
+
+  /**
+   * Creates an entry for a field that may be translated on a step or tour.
+   * @param {string} key - The key of the string.
+   * @param {object} source - The step or tour holding the field.
+   * @param {string} field - The field name.
+   * @returns {object} The entry.
+   */
+  const textEntry = (key, source, field) => ({
+    key,
+    get: (language) =>
+      isDefault(language)
+        ? source[field]
+        : source.translations[language]?.[field] || "",
+    set: (language, value) => {
+      if (isDefault(language)) {
+        source[field] = value;
+      } else {
+        source.translations[language] = {
+          ...source.translations[language],
+          [field]: value,
+        };
+      }
+    },
+  });
+
+  const uiEntries = UI_STRINGS.map(({ key, text }) => ({
+    key: `ui.${key}`,
+    get: (language) =>
+      localization.ui[language]?.[key] || (isDefault(language) ? text : ""),
+    set: (language, value) => {
+      localization.ui[language] = {
+        ...localization.ui[language],
+        // Built-in text needs no override
+        [key]: isDefault(language) && value === text ? "" : value,
+      };
+    },
+  }));
+
+  const tourEntries = document.tours.flatMap((tour, t) => [
+    ...TOUR_TEXT_FIELDS.map((field) =>
+      textEntry(`tour.${t + 1}.${field}`, tour, field)
+    ),
+    ...tour.steps.flatMap((step, s) =>
+      STEP_TEXT_FIELDS.filter(
+        (field) => field !== "hint" || step.type === "interactive" || step.hint
+      ).map((field) =>
+        textEntry(`tour.${t + 1}.step.${s + 1}.${field}`, step, field)
+      )
+    ),
+  ]);
+
+  return [...uiEntries, ...tourEntries];
+};
+
+/**
+ * Downloads every translatable string as a CSV translation table.
+ * @param {object} document - The settings document to export.
+ * @param {string} dashboardName - The name of the dashboard, used for the file name.
+ */
+export const exportTranslationTable = (document, dashboardName) => {
+  const { languages } = document.general.localization;
+  const rows = [
+    ["key", ...languages],
+    ...listEntries(document).map((entry) => [
+      entry.key,
+      ...languages.map((language) => entry.get(language)),
+    ]),
+  ];
+
+  // The byte order mark makes spreadsheet programs read the file as UTF-8
+  const csv = rows.map((cells) => cells.map(toCsvCell).join(",")).join("\r\n");
+  downloadFile(
+    `\uFEFF${csv}\r\n`,
+    "text/csv;charset=utf-8",
+    `${dashboardName || "tour"}.translations.csv`
+  );
+};
+
+/**
+ * Applies a translation table to a settings document. Empty cells remove a
+ * translation, except in the default language, whose text is never cleared.
+ * Language columns not configured yet are added as languages.
+ * @param {string} text - The contents of the CSV file.
+ * @param {object} document - The current settings document.
+ * @returns {object} `{ settings, report }` where `settings` is the updated
+ *   document and `report` lists the languages, the number of strings read and
+ *   any keys that match nothing in this configuration.
+ * @throws {Error} If the file is not a translation table.
+ */
+export const importTranslationTable = (text, document) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header || header[0].trim().toLowerCase() !== "key") {
+    throw new Error('The file is not a translation table: no "key" column.');
+  }
+  const columns = header.slice(1).map(normalizeLanguage);
+  if (columns.length === 0 || columns.some((language) => !language)) {
+    throw new Error("Every column after the key must name a language.");
+  }
+
+  // Work on a copy so nothing changes until the caller applies the result
+  const settings = validateSettings(JSON.parse(JSON.stringify(document)));
+  const { localization } = settings.general;
+  localization.languages = [
+    ...new Set([...localization.languages, ...columns]),
+  ];
+
+  const entries = Object.fromEntries(
+    listEntries(settings).map((entry) => [entry.key, entry])
+  );
+  const unknownKeys = [];
+  let strings = 0;
+
+  rows.forEach(([key, ...cells]) => {
+    const entry = entries[key.trim()];
+    if (!entry) {
+      unknownKeys.push(key);
+      return;
+    }
+    columns.forEach((language, index) => {
+      const value = cells[index] ?? "";
+      if (value === "" && language === localization.defaultLanguage) return;
+      entry.set(language, value);
+      if (value !== "") strings += 1;
+    });
+  });
+
+  return {
+    settings: validateSettings(settings), // Drops the emptied translations
+    report: { languages: columns, strings, unknownKeys },
+  };
+};